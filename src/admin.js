@@ -0,0 +1,165 @@
+'use strict'
+
+/**
+ * Module dependencies.
+ * @private
+ */
+const util = require('util');
+const { awaitTo: to } = require('./util');
+
+/**
+ * Local constants.
+ * @private
+ */
+const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 1000;
+const MAX_TOP_SCANNED_KEYS = 10000;
+const TOP_BATCH_SIZE = 100;
+const DERIVED_KEY_SUFFIXES = [':ban', ':overages'];
+
+/**
+ * Admin plugin. Registers routes to list limited routes, inspect and
+ * reset store keys, and show the most used keys. Should be registered
+ * after the limiter, usually with a prefix:
+ *
+ * fastify.register(limiter.admin, { prefix: '/admin/limiter', authorize });
+ *
+ * @param {fastify} fastify fastify instance
+ * @param {Object} options
+ *   @property {Function|AsyncFunction} authorize Takes the request and the reply,
+ *                                               and returns whether the request is allowed
+ * @returns {void}
+ */
+async function properLimiterAdminPlugin (fastify, options) {
+  if (!fastify.hasDecorator('limiter')) {
+    throw new Error('"fastify-proper-limiter" should be registered before the admin plugin.');
+  }
+
+  if (typeof options.authorize !== 'function') {
+    throw new TypeError('`authorize` should be a function.');
+  }
+
+  // Admin plugin is not wrapped with "fastify-plugin", so the hook
+  // protects only the admin routes.
+  fastify.addHook('onRequest', async (request, reply) => {
+    let isAuthorized = options.authorize(request, reply);
+
+    if (util.types.isPromise(isAuthorized)) {
+      let err;
+
+      [err, isAuthorized] = await to(isAuthorized);
+
+      if (err) {
+        throw err;
+      }
+    }
+
+    if (!isAuthorized) {
+      const err = new Error('Unauthorized');
+      err.statusCode = 401;
+
+      throw err;
+    }
+  });
+
+  /**
+   * Route config. Admin routes are never limited (even if the limiter
+   * is global) and are not listed in `/routes`.
+   * @type {Object}
+   */
+  const config = { limiter: false };
+
+  /**
+   * Querystring schema of routes that take a store key.
+   * @type {Object}
+   */
+  const keySchema = {
+    querystring: {
+      type: 'object',
+      required: ['key'],
+      properties: {
+        key: { type: 'string', minLength: 1 }
+      }
+    }
+  };
+
+  fastify.get('/routes', { config }, async () => fastify.limiter.routes());
+
+  fastify.get('/key', { config, schema: keySchema }, async request => {
+    const result = await fastify.limiter.get(request.query.key);
+
+    if (!result) {
+      const err = new Error('Key does not exist.');
+      err.statusCode = 404;
+
+      throw err;
+    }
+
+    return { key: request.query.key, ...result };
+  });
+
+  fastify.delete('/key', { config, schema: keySchema }, async (request, reply) => {
+    await fastify.limiter.reset(request.query.key);
+
+    reply.code(204).send();
+  });
+
+  fastify.get(
+    '/top',
+
+    {
+      config,
+      schema: {
+        querystring: {
+          type: 'object',
+          properties: {
+            prefix: { type: 'string', default: '' },
+            limit: { type: 'integer', minimum: 1, maximum: MAX_TOP_LIMIT, default: DEFAULT_TOP_LIMIT }
+          }
+        }
+      }
+    },
+
+    async request => getTopKeys(fastify.limiter, request.query.prefix, request.query.limit)
+  );
+}
+
+/**
+ * Returns the most used keys, i.e. keys with the highest counter value.
+ * Keys that hold a state of other algorithms, bans and overage counters
+ * are skipped. At most `MAX_TOP_SCANNED_KEYS` keys are scanned, and they
+ * are read in batches, so a large keyspace does not stall the store.
+ * @param {Object} limiter `fastify.limiter` decorator
+ * @param {String} prefix
+ * @param {Integer} limit
+ * @returns {Array<Object>}
+ *   @property {String} key
+ *   @property {Integer} value
+ *   @property {Integer} ttl
+ * @private
+ */
+async function getTopKeys (limiter, prefix, limit) {
+  const entries = [];
+  const keys = (await limiter.keys(prefix, MAX_TOP_SCANNED_KEYS))
+    .filter(key => !DERIVED_KEY_SUFFIXES.some(suffix => key.endsWith(suffix)));
+
+  for (let i = 0; i < keys.length; i += TOP_BATCH_SIZE) {
+    const batch = keys.slice(i, i + TOP_BATCH_SIZE);
+    const results = await Promise.all(batch.map(key => limiter.get(key)));
+
+    results.forEach((result, j) => {
+      if (
+        result &&
+        typeof result.value === 'number'
+      ) {
+        entries.push({ key: batch[j], ...result });
+      }
+    });
+  }
+
+  return entries
+    .sort((a, b) => b.value - a.value)
+    .slice(0, limit);
+}
+
+module.exports = properLimiterAdminPlugin;
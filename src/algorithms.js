@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+const crypto = require('crypto');
+
+/**
+ * Rate limiting algorithms.
+ *
+ * Each algorithm is backed by its own Store method, so custom stores
+ * can implement only the algorithms they need.
+ *
+ * @type {Object}
+ *   @property {String} method Store method name
+ *   @property {String} [refundMethod] Store method name used for refunds
+ *   @property {Function} [params] Resolves algorithm parameters
+ *     @param {Object} config Limiter final config
+ *     @param {Object} options Resolved `max`, `per` and `cost`
+ *     @returns {Object} Parameters, including the effective `max` and `per`
+ *   @property {Function} consume Calls the Store method
+ *     @param {Store} store
+ *     @param {String} key
+ *     @param {Object} params
+ *       @property {Integer} max
+ *       @property {Integer} per
+ *       @property {Integer} cost
+ *     @returns {Promise}
+ *   @property {Function} [refund] Calls the Store method that gives back
+ *                                 what was consumed (same arguments as `consume`)
+ *   @property {String} [releaseMethod] Store method name used to release
+ *                                      what was consumed once the request is finished
+ *   @property {Function} [release] Calls the release Store method (same arguments as `consume`)
+ */
+const ALGORITHMS = {
+  /**
+   * Fixed window: counter is reset every `per` seconds.
+   */
+  'fixed-window': {
+    method: 'increment',
+    refundMethod: 'decrement',
+    consume: (store, key, { per, cost }) => store.increment(key, per, cost),
+    refund: (store, key, { cost }) => store.decrement(key, cost)
+  },
+
+  /**
+   * Sliding window log: timestamps of allowed requests are kept
+   * for `per` seconds, so the limit is enforced in an exact rolling
+   * window. Rejected requests are not logged.
+   */
+  'sliding-log': {
+    method: 'slidingLog',
+    consume: (store, key, { max, per, cost }) => store.slidingLog(key, per, max, cost)
+  },
+
+  /**
+   * Sliding window counter: counters of the current and the previous
+   * fixed windows are kept, and the previous one is weighted by its
+   * overlap with the rolling window. Rejected requests are not counted.
+   */
+  'sliding-window': {
+    method: 'slidingWindow',
+    consume: (store, key, { max, per, cost }) => store.slidingWindow(key, per, max, cost)
+  },
+
+  /**
+   * Token bucket: bucket of `capacity` tokens is refilled with
+   * `refillRate` tokens per second, and every request takes `cost` tokens.
+   * By default, a bucket of `max` tokens is refilled in `per` seconds.
+   */
+  'token-bucket': {
+    method: 'tokenBucket',
+
+    params: (config, { max, per, cost }) => {
+      const capacity = config.capacity === null ? max : config.capacity;
+      const refillRate = config.refillRate === null ? max / per : config.refillRate;
+
+      return {
+        capacity,
+        refillRate,
+        cost,
+
+        // Limit and time window as they are reported to clients: bucket size
+        // and time it takes to refill an empty bucket.
+        max: capacity,
+        per: Math.ceil(capacity / refillRate)
+      }
+    },
+
+    consume: (store, key, { capacity, refillRate, cost }) => store.tokenBucket(key, capacity, refillRate, cost)
+  },
+
+  /**
+   * Generic Cell Rate Algorithm (leaky bucket): a single "theoretical
+   * arrival time" is kept per key. Requests are spaced `per / max` seconds
+   * apart with bursts of up to `max` requests.
+   */
+  'gcra': {
+    method: 'gcra',
+    consume: (store, key, { max, per, cost }) => store.gcra(key, per, max, cost)
+  },
+
+  /**
+   * Concurrency: at most `max` requests are in flight at the same time.
+   * A lease is acquired for every request and released once the request
+   * is finished, leases expire after `per` seconds anyway.
+   */
+  'concurrency': {
+    method: 'acquire',
+    releaseMethod: 'release',
+
+    params: (config, { max, per, cost }) => ({
+      max,
+      per,
+      cost,
+      lease: crypto.randomBytes(8).toString('hex')
+    }),
+
+    consume: (store, key, { max, per, lease }) => store.acquire(key, per, max, lease),
+    release: (store, key, { lease }) => store.release(key, lease)
+  }
+};
+
+module.exports = ALGORITHMS;
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * Default names of the rate limit headers.
+ * @type {Object}
+ */
+const DEFAULT_HEADERS = {
+  limit: 'X-RateLimit-Limit',
+  remaining: 'X-RateLimit-Remaining',
+  reset: 'X-RateLimit-Reset',
+  retryAfter: 'Retry-After',
+  rateLimit: 'RateLimit',
+  policy: 'RateLimit-Policy'
+};
+
+/**
+ * Supported formats of the rate limit headers.
+ * @type {Array}
+ *
+ * * "legacy" - X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset
+ * * "draft" - RateLimit and RateLimit-Policy fields (IETF httpapi draft)
+ * * "both" - all of the above
+ */
+const HEADERS_FORMATS = ['legacy', 'draft', 'both'];
+
+/**
+ * Validates and normalizes `headers` option.
+ * @param {Object|Boolean} headers
+ * @returns {Object|Boolean} Header names or `false` if headers are disabled
+ * @throws {TypeError}
+ */
+function normalizeHeaders (headers) {
+  if (headers === false) {
+    return false;
+  }
+
+  if (
+    !headers ||
+    typeof headers !== 'object'
+  ) {
+    throw new TypeError('`limiter.headers` should be an object or `false`.');
+  }
+
+  for (const name of Object.keys(headers)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_HEADERS, name)) {
+      throw new TypeError(`\`limiter.headers.${name}\` is not a known header.`);
+    }
+
+    if (
+      headers[name] !== false &&
+      typeof headers[name] !== 'string'
+    ) {
+      throw new TypeError(`\`limiter.headers.${name}\` should be a string or \`false\`.`);
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Serializes a policy name as a structured field string.
+ * @param {String} name
+ * @returns {String}
+ */
+function serializeName (name) {
+  return `"${String(name).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Adds rate limit headers to the reply.
+ * @param {fastify.Reply} reply
+ * @param {Object} config
+ *   @property {Object|Boolean} headers Header names (see `DEFAULT_HEADERS`)
+ *   @property {String} headersFormat One of `HEADERS_FORMATS`
+ * @param {Array<Object>} policies
+ *   @property {String} name Policy name
+ *   @property {Integer} max Max. number of requests allowed
+ *   @property {Integer} per Time window (seconds)
+ *   @property {Integer} current Current request number in the time window
+ *   @property {Integer} ttl Time left until the time window resets (milliseconds)
+ *   @property {Integer} [retryAfter] Time left until a request is allowed (milliseconds)
+ *   @property {Boolean} exceeded Whether the limit is exceeded
+ * @returns {void}
+ */
+function setHeaders (reply, { headers, headersFormat }, policies) {
+  if (
+    !headers ||
+    policies.length === 0
+  ) {
+    return;
+  }
+
+  const items = policies.map(policy => ({
+    ...policy,
+
+    remaining: Math.max(0, policy.max - policy.current),
+    reset: Math.max(0, Math.ceil(policy.ttl / 1000)),
+    retryAfter: Math.max(0, Math.ceil((policy.retryAfter === undefined ? policy.ttl : policy.retryAfter) / 1000))
+  }));
+
+  if (headersFormat !== 'draft') {
+    // Legacy headers can describe only one policy, so the one that is
+    // exceeded or closest to being exceeded is reported.
+    const item = items.reduce((closest, item) => {
+      if (closest.exceeded !== item.exceeded) {
+        return closest.exceeded ? closest : item;
+      }
+
+      return item.remaining < closest.remaining ? item : closest;
+    });
+
+    if (headers.limit) {
+      reply.header(headers.limit, String(item.max));
+    }
+
+    if (headers.remaining) {
+      reply.header(headers.remaining, String(item.remaining));
+    }
+
+    if (headers.reset) {
+      reply.header(headers.reset, String(item.reset));
+    }
+  }
+
+  if (headersFormat !== 'legacy') {
+    if (headers.policy) {
+      reply.header(
+        headers.policy,
+        items.map(item => `${serializeName(item.name)};q=${item.max};w=${item.per}`).join(', ')
+      );
+    }
+
+    if (headers.rateLimit) {
+      reply.header(
+        headers.rateLimit,
+        items.map(item => `${serializeName(item.name)};r=${item.remaining};t=${item.reset}`).join(', ')
+      );
+    }
+  }
+
+  const exceeded = items.filter(item => item.exceeded);
+
+  if (
+    exceeded.length > 0 &&
+    headers.retryAfter
+  ) {
+    reply.header(headers.retryAfter, String(Math.max(...exceeded.map(item => item.retryAfter))));
+  }
+}
+
+module.exports = {
+  DEFAULT_HEADERS,
+  HEADERS_FORMATS,
+  normalizeHeaders,
+  setHeaders
+}
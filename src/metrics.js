@@ -0,0 +1,154 @@
+'use strict'
+
+/**
+ * Local constants.
+ * @private
+ */
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+const REQUESTS_METRIC = 'fastify_proper_limiter_requests_total';
+const STORE_DURATION_METRIC = 'fastify_proper_limiter_store_duration_seconds';
+
+/**
+ * Limiter decisions.
+ * @type {Object}
+ *
+ * * "allowed" - request passed all limits
+ * * "rejected" - request exceeded a limit (or was banned, or timed out in the queue)
+ * * "ignored" - all limits were ignored by the `ignore` option
+ * * "skipped" - a limit was skipped because of a store error (`skipOnError`)
+ * * "error" - a store error was passed to the error handler
+ */
+const DECISIONS = {
+  ALLOWED: 'allowed',
+  REJECTED: 'rejected',
+  IGNORED: 'ignored',
+  SKIPPED: 'skipped',
+  ERROR: 'error'
+};
+
+/**
+ * In-memory metrics of the limiter, exposed in Prometheus text format.
+ */
+class Metrics {
+  /**
+   * Constructor.
+   * @param {Object} [options]
+   *   @property {Array<Number>} [buckets] Buckets of the store latency histogram (seconds)
+   */
+  constructor ({ buckets = DEFAULT_BUCKETS } = {}) {
+    if (
+      !Array.isArray(buckets) ||
+      buckets.length === 0 ||
+      !buckets.every((bucket, i) => typeof bucket === 'number' && bucket > 0 && (i === 0 || bucket > buckets[i - 1]))
+    ) {
+      throw new TypeError('`metrics.buckets` should be a non-empty array of increasing positive numbers.');
+    }
+
+    this._buckets = buckets;
+
+    /**
+     * Request counters (by serialized labels).
+     * @type {Map<String, Integer>}
+     */
+    this._requests = new Map();
+
+    /**
+     * Store latency histograms (by store method).
+     * @type {Map<String, Object>}
+     */
+    this._durations = new Map();
+  }
+
+  /**
+   * Counts a limiter decision.
+   * @param {String} route Route URL
+   * @param {String} method HTTP method
+   * @param {String} decision
+   * @returns {void}
+   */
+  countRequest (route, method, decision) {
+    const labels = formatLabels({ route, method, decision });
+
+    this._requests.set(labels, (this._requests.get(labels) || 0) + 1);
+  }
+
+  /**
+   * Records the latency of a store call.
+   * @param {String} operation Store method
+   * @param {Number} seconds
+   * @returns {void}
+   */
+  observeStore (operation, seconds) {
+    let histogram = this._durations.get(operation);
+
+    if (!histogram) {
+      histogram = {
+        counts: this._buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      }
+
+      this._durations.set(operation, histogram);
+    }
+
+    this._buckets.forEach((bucket, i) => {
+      if (seconds <= bucket) {
+        histogram.counts[i]++;
+      }
+    });
+
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  /**
+   * Returns metrics in Prometheus text format.
+   * @returns {String}
+   */
+  toPrometheus () {
+    const lines = [
+      `# HELP ${REQUESTS_METRIC} Number of requests by limiter decision.`,
+      `# TYPE ${REQUESTS_METRIC} counter`
+    ];
+
+    for (const [labels, value] of this._requests) {
+      lines.push(`${REQUESTS_METRIC}{${labels}} ${value}`);
+    }
+
+    lines.push(
+      `# HELP ${STORE_DURATION_METRIC} Latency of store calls.`,
+      `# TYPE ${STORE_DURATION_METRIC} histogram`
+    );
+
+    for (const [operation, histogram] of this._durations) {
+      const labels = formatLabels({ operation });
+
+      this._buckets.forEach((bucket, i) => {
+        lines.push(`${STORE_DURATION_METRIC}_bucket{${labels},le="${bucket}"} ${histogram.counts[i]}`);
+      });
+
+      lines.push(
+        `${STORE_DURATION_METRIC}_bucket{${labels},le="+Inf"} ${histogram.count}`,
+        `${STORE_DURATION_METRIC}_sum{${labels}} ${histogram.sum}`,
+        `${STORE_DURATION_METRIC}_count{${labels}} ${histogram.count}`
+      );
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Formats Prometheus labels.
+ * @param {Object} labels
+ * @returns {String}
+ * @private
+ */
+function formatLabels (labels) {
+  return Object.keys(labels)
+    .map(name => `${name}="${String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    .join(',');
+}
+
+module.exports = Metrics;
+module.exports.DECISIONS = DECISIONS;
@@ -5,20 +5,82 @@
  * @private
  */
 const util = require('util');
+const EventEmitter = require('events');
 const fp = require('fastify-plugin');
 const LocalStore = require('./stores/LocalStore');
 const RedisStore = require('./stores/RedisStore');
+const SqliteStore = require('./stores/SqliteStore');
+const ResilientStore = require('./stores/ResilientStore');
+const admin = require('./admin');
+const Metrics = require('./metrics');
+const ALGORITHMS = require('./algorithms');
+const { DEFAULT_HEADERS, HEADERS_FORMATS, normalizeHeaders, setHeaders } = require('./headers');
 const { awaitTo: to } = require('./util');
+const { DECISIONS } = Metrics;
+
+/**
+ * Local constants.
+ * @private
+ */
+const kConsumed = Symbol('fastify-proper-limiter.consumed');
+const kReleased = Symbol('fastify-proper-limiter.released');
+const kSkipped = Symbol('fastify-proper-limiter.skipped');
+
+/**
+ * Options that define the quota of a shared bucket.
+ * @type {Array<String>}
+ */
+const BUCKET_OPTIONS = ['algorithm', 'capacity', 'max', 'per', 'refillRate', 'store', 'storeKeyGenerator'];
+
+/**
+ * Options that describe a limit of a route (see `fastify.limiter.routes()`).
+ * @type {Array<String>}
+ */
+const DESCRIBED_OPTIONS = [
+  'name',
+  'algorithm',
+  'bucket',
+  'max',
+  'per',
+  'capacity',
+  'refillRate',
+  'cost',
+  'ban',
+  'queue',
+  'delayAfter'
+];
 
 /**
  * Plugin.
  * @param {fastify} fastify fastify instance
  * @param {Object} options
+ *   @property {String} algorithm
+ *   @property {Object} ban
+ *   @property {String} bucket
+ *   @property {Integer} capacity
+ *   @property {Integer|Function|AsyncFunction} cost
+ *   @property {Integer} delayAfter
+ *   @property {Number|Function|AsyncFunction} delayMs
  *   @property {Function} errorResponseGenerator
+ *   @property {Array} exclude
+ *   @property {Boolean} global
+ *   @property {Object|Boolean} headers
+ *   @property {String} headersFormat
  *   @property {Function|AsyncFunction} ignore
+ *   @property {Array<Object>} limits
  *   @property {Integer|Function|AsyncFunction} max
- *   @property {Integer} per
+ *   @property {Number} maxDelayMs
+ *   @property {Boolean|Object} metrics
+ *   @property {Function|AsyncFunction} onAllowed
+ *   @property {Function|AsyncFunction} onExceeded
+ *   @property {Function|AsyncFunction} onStoreError
+ *   @property {Integer|Function|AsyncFunction} per
+ *   @property {Object} queue
+ *   @property {Number} refillRate
+ *   @property {Function|AsyncFunction} shouldCount
+ *   @property {Boolean} skipFailedRequests
  *   @property {Boolean} skipOnError
+ *   @property {Boolean} skipSuccessfulRequests
  *   @property {Store} store
  *   @property {Function} storeKeyGenerator
  * @returns {void}
@@ -30,13 +92,77 @@ async function properLimiterPlugin (fastify, options) {
    */
   const globalOptions = Object.assign(
     {
+      /**
+       * Rate limiting algorithm.
+       * @type {String}
+       *
+       * * "fixed-window" - counter is reset every `per` seconds
+       * * "sliding-log" - exact rolling window of `per` seconds
+       * * "sliding-window" - approximate rolling window of `per` seconds
+       * * "token-bucket" - bucket of `capacity` tokens refilled at `refillRate`
+       * * "gcra" - requests spaced `per / max` seconds apart, bursts of up to `max`
+       * * "concurrency" - up to `max` requests in flight, leases expire after `per` seconds
+       */
+      algorithm: 'fixed-window',
+
+      /**
+       * Penalty box: temporarily ban clients that keep exceeding the limit.
+       * @type {Object}
+       *   @property {Integer} after Number of times the limit can be exceeded
+       *   @property {Integer} within Time window for counting exceeded limits (seconds)
+       *   @property {Integer} duration Ban duration (seconds)
+       */
+      ban: null,
+
+      /**
+       * Name of a bucket shared by several routes.
+       * @type {String}
+       */
+      bucket: null,
+
+      /**
+       * Bucket size ("token-bucket" algorithm). Defaults to `max`.
+       * @type {Integer}
+       */
+      capacity: null,
+
+      /**
+       * Number of units of quota consumed by a request.
+       * @type {Integer|Function|AsyncFunction}
+       *   @param {fastify.Request} request
+       *   @param {String} storeKey
+       *   @returns {Integer}
+       */
+      cost: 1,
+
+      /**
+       * Number of requests in the time window after which requests
+       * are delayed instead of being let through at full speed
+       * (`null` disables slow-down).
+       * @type {Integer}
+       */
+      delayAfter: null,
+
+      /**
+       * Delay per request above `delayAfter` (milliseconds).
+       * @type {Number|Function|AsyncFunction}
+       *   @param {Integer} overage Number of requests above `delayAfter`
+       *   @param {fastify.Request} request
+       *   @returns {Number}
+       */
+      delayMs: 1000,
+
       /**
        * Error response generator.
        * @type {Function}
        *   @param {fastify.Request} request
        *   @param {Object} context
+       *     @property {String} reason
+       *     @property {String} limit
        *     @property {Integer} max
        *     @property {Integer} per
+       *     @property {Integer} reset
+       *     @property {Integer} retryAfter
        *     @property {String} method
        *     @property {String} url
        *   @returns {Any}
@@ -45,11 +171,56 @@ async function properLimiterPlugin (fastify, options) {
         let error = new Error('Rate limit exceeded for this route. Try again later.');
 
         error.error = 'Too Many Requests';
-        error.statusCode = 403;
+
+        // Queued requests are rejected with 429, so callers can tell
+        // them apart and retry later.
+        error.statusCode = context.reason === 'queue-full' || context.reason === 'queue-timeout' ? 429 : 403;
 
         return error;
       },
 
+      /**
+       * Routes that should not be rate limited in global mode.
+       * @type {Array<String|RegExp|Object>}
+       *   @property {String|RegExp} [url]
+       *   @property {String|Array<String>} [method]
+       *
+       * * String is compared with a route URL, RegExp is tested against it.
+       * * Object matches routes by URL and/or method.
+       */
+      exclude: [],
+
+      /**
+       * Apply rate limiting to every route, even if `config.limiter`
+       * is missing. Routes can opt out with `config.limiter: false`.
+       * @type {Boolean}
+       */
+      global: false,
+
+      /**
+       * Names of the rate limit headers. Set a header name to `false`
+       * to omit the header, or set the whole option to `false`
+       * to omit all of them.
+       * @type {Object|Boolean}
+       *   @property {String|Boolean} limit
+       *   @property {String|Boolean} remaining
+       *   @property {String|Boolean} reset
+       *   @property {String|Boolean} retryAfter
+       *   @property {String|Boolean} rateLimit
+       *   @property {String|Boolean} policy
+       */
+      headers: DEFAULT_HEADERS,
+
+      /**
+       * Format of the rate limit headers.
+       * @type {String}
+       *
+       * * "legacy" - X-RateLimit-* headers
+       * * "draft" - RateLimit and RateLimit-Policy fields (IETF httpapi draft)
+       * * "both" - all of the above
+       */
+      headersFormat: 'legacy',
+
       /**
        * Allows to ignore rate limiting per request for the current route.
        * @type {Function|AsyncFunction}
@@ -61,6 +232,14 @@ async function properLimiterPlugin (fastify, options) {
        */
       ignore: null,
 
+      /**
+       * Limits stacked on every route that uses global options, e.g.
+       * `[{ max: 10, per: 1 }, { max: 1000, per: 3600 }]`. Each limit
+       * overrides global options and is overridden by `config.limiter`.
+       * @type {Array<Object>}
+       */
+      limits: null,
+
       /**
        * Maximum number of requests allowed.
        * @type {Integer|Function|AsyncFunction}
@@ -70,18 +249,102 @@ async function properLimiterPlugin (fastify, options) {
        */
       max: 300,
 
+      /**
+       * Maximum delay of a request (milliseconds).
+       * @type {Number}
+       */
+      maxDelayMs: Infinity,
+
+      /**
+       * Metrics of limiter decisions and store latency, available with
+       * `fastify.limiter.getMetrics()` in Prometheus text format.
+       * @type {Boolean|Object}
+       *   @property {String} [endpoint] Path of a route that exposes metrics
+       *   @property {Array<Number>} [buckets] Buckets of the store latency histogram (seconds)
+       */
+      metrics: false,
+
+      /**
+       * Called when a request passes all limits (side effects only).
+       * @type {Function|AsyncFunction}
+       *   @param {fastify.Request} request
+       *   @param {Object} context
+       *   @returns {void}
+       */
+      onAllowed: null,
+
+      /**
+       * Called when a request exceeds a limit (side effects only).
+       * @type {Function|AsyncFunction}
+       *   @param {fastify.Request} request
+       *   @param {Object} context `errorResponseGenerator` context with `key` and
+       *                           `first` (whether it is the first overage in the window)
+       *   @returns {void}
+       */
+      onExceeded: null,
+
+      /**
+       * Called when a store fails (side effects only).
+       * @type {Function|AsyncFunction}
+       *   @param {fastify.Request} request
+       *   @param {Error} error
+       *   @param {Object} context
+       *   @returns {void}
+       */
+      onStoreError: null,
+
       /**
        * Time window (seconds).
-       * @type {Integer}
+       * @type {Integer|Function|AsyncFunction}
+       *   @param {fastify.Request} request
+       *   @param {String} storeKey
+       *   @returns {Integer}
        */
       per: 60,
 
+      /**
+       * Queue for requests that exceed the limit.
+       * @type {Object}
+       *   @property {Integer} maxLength Maximum number of queued requests per key
+       *   @property {Integer} maxWait Maximum time a request can wait in the queue (milliseconds)
+       */
+      queue: null,
+
+      /**
+       * Number of tokens added to the bucket per second ("token-bucket" algorithm).
+       * Defaults to `max / per`.
+       * @type {Number}
+       */
+      refillRate: null,
+
+      /**
+       * Decides whether a request should be counted once the response
+       * is sent. Requests that should not be counted are refunded.
+       * @type {Function|AsyncFunction}
+       *   @param {fastify.Request} request
+       *   @param {fastify.Reply} reply
+       *   @returns {Boolean}
+       */
+      shouldCount: null,
+
+      /**
+       * Refund requests that failed (status code >= 400).
+       * @type {Boolean}
+       */
+      skipFailedRequests: false,
+
       /**
        * Ignore limiter if an error occurred.
        * @type {Boolean}
        */
       skipOnError: false,
 
+      /**
+       * Refund requests that succeeded (status code < 400).
+       * @type {Boolean}
+       */
+      skipSuccessfulRequests: false,
+
       /**
        * Store.
        * @type {Store}
@@ -95,205 +358,1779 @@ async function properLimiterPlugin (fastify, options) {
        *   @param {Object} routeConfig
        *     @property {String} method
        *     @property {String} url
+       *     @property {String} [bucket]
        *   @returns {String}
        */
-      storeKeyGenerator: (request, { method, url }) => `fastify-proper-limiter:${method}:${url}:${request.ip}`
+      storeKeyGenerator: (request, { method, url, bucket }) => bucket
+        ? `fastify-proper-limiter:bucket:${bucket}:${request.ip}`
+        : `fastify-proper-limiter:${method}:${url}:${request.ip}`
     },
 
     options
   );
 
+  if (
+    globalOptions.headers &&
+    globalOptions.headers !== DEFAULT_HEADERS
+  ) {
+    globalOptions.headers = { ...DEFAULT_HEADERS, ...globalOptions.headers };
+  }
+
   if (!globalOptions.store) {
     globalOptions.store = new LocalStore();
   }
 
+  if (
+    globalOptions.limits !== null &&
+    !(Array.isArray(globalOptions.limits) && globalOptions.limits.length > 0)
+  ) {
+    throw new TypeError('`limits` should be a non-empty array.');
+  }
+
+  if (typeof globalOptions.global !== 'boolean') {
+    throw new TypeError('`global` should be a boolean.');
+  }
+
+  if (!Array.isArray(globalOptions.exclude)) {
+    throw new TypeError('`exclude` should be an array.');
+  }
+
+  for (const pattern of globalOptions.exclude) {
+    if (
+      typeof pattern !== 'string' &&
+      !(pattern instanceof RegExp) &&
+      !(pattern && typeof pattern === 'object')
+    ) {
+      throw new TypeError('`exclude` items should be strings, regular expressions or objects.');
+    }
+  }
+
+  if (
+    typeof globalOptions.metrics !== 'boolean' &&
+    !(globalOptions.metrics && typeof globalOptions.metrics === 'object')
+  ) {
+    throw new TypeError('`metrics` should be a boolean or an object.');
+  }
+
+  /**
+   * Limiter metrics (`null` if disabled).
+   * @type {Metrics}
+   */
+  const metrics = globalOptions.metrics
+    ? new Metrics(globalOptions.metrics === true ? {} : globalOptions.metrics)
+    : null;
+
+  /**
+   * Stores used by the limiter, they are closed on fastify close.
+   * @type {Set<Store>}
+   */
+  const stores = new Set([globalOptions.store]);
+
+  fastify.addHook('onClose', async instance => {
+    for (const store of stores) {
+      if (typeof store.close !== 'function') {
+        continue;
+      }
+
+      let [err] = await to(Promise.resolve().then(() => store.close()));
+
+      // Other stores should be closed anyway.
+      if (err) {
+        instance.log.error(err, 'fastify-proper-limiter: store close failed');
+      }
+    }
+  });
+
+  /**
+   * Queues of requests that exceed the limit (by store key).
+   * @type {Map<String, Object>}
+   */
+  const queues = new Map();
+
+  /**
+   * Configs of shared buckets (by bucket name).
+   * @type {Map<String, Object>}
+   */
+  const buckets = new Map();
+
+  /**
+   * Limited routes.
+   * @type {Array<Object>}
+   */
+  const routes = [];
+
+  /**
+   * `fastify.limiter` decorator, it also emits limiter events.
+   * @type {EventEmitter}
+   */
+  const limiter = createLimiterDecorator(stores, routes, metrics);
+
+  fastify.decorate('limiter', limiter);
+
+  /**
+   * State shared by the limiter hooks.
+   * @type {Object}
+   *   @property {Map<String, Object>} queues Queues of requests that exceed the limit
+   *   @property {Metrics} metrics Limiter metrics (`null` if disabled)
+   *   @property {EventEmitter} events Emitter of limiter events
+   *   @property {LocalStore} overages Keys that exceeded a limit in the current window
+   */
+  const runtime = {
+    queues,
+    metrics,
+    events: limiter,
+    // The store is never closed, so it has no sweep timer (expired
+    // entries are still dropped when they are read or the store is full).
+    overages: new LocalStore(5000, { sweepInterval: 0 })
+  };
+
+  if (
+    metrics &&
+    globalOptions.metrics.endpoint !== undefined
+  ) {
+    if (
+      typeof globalOptions.metrics.endpoint !== 'string' ||
+      !globalOptions.metrics.endpoint.startsWith('/')
+    ) {
+      throw new TypeError('`metrics.endpoint` should be a path string.');
+    }
+
+    fastify.get(globalOptions.metrics.endpoint, { config: { limiter: false } }, async (request, reply) => {
+      reply.type('text/plain; version=0.0.4; charset=utf-8');
+
+      return metrics.toPrometheus();
+    });
+  }
+
   // Use 'onRoute' hook to inject 'preHandler' for rate limiting.
   fastify.addHook('onRoute', routeOptions => {
     /**
      * Per-route options for limiter.
      * @type {Object|Boolean}
      */
-    const limiterOptions = routeOptions.config && routeOptions.config.limiter;
+    let limiterOptions = routeOptions.config && routeOptions.config.limiter;
 
-    // Limiter should be configured per route. If it was not configured,
-    // we will not apply rate limiting to the current route.
-    if (!limiterOptions) {
+    // Route explicitly opted out of rate limiting.
+    if (limiterOptions === false) {
       return;
     }
 
+    // Limiter should be configured per route unless global mode is enabled.
+    // If it was not configured (any falsy value other than `false`), we will
+    // not apply rate limiting to the current route.
+    if (!limiterOptions) {
+      if (
+        !globalOptions.global ||
+        isExcluded(globalOptions.exclude, routeOptions)
+      ) {
+        return;
+      }
+
+      limiterOptions = true;
+    }
+
     if (
       typeof limiterOptions !== 'object' &&
       typeof limiterOptions !== 'boolean'
     ) {
-      throw new TypeError('`config.limiter` should be an object or a boolean.');
+      throw new TypeError('`config.limiter` should be an object, an array or a boolean.');
     }
 
     /**
-     * Final limiter config.
-     * @type {Object}
+     * Whether several limits are stacked on the current route.
+     * @type {Boolean}
      */
-    const config = Object.assign({ ...globalOptions }, limiterOptions);
+    const stacked = Array.isArray(limiterOptions) || Boolean(globalOptions.limits);
 
-    if (!config.store) {
-      throw new Error('`limiter.store` is required.');
-    }
+    /**
+     * Limit definitions.
+     * @type {Array<Object|Boolean>}
+     */
+    let definitions;
 
-    if (typeof config.errorResponseGenerator !== 'function') {
-      throw new TypeError('`limiter.errorResponseGenerator` should be a function.');
+    if (Array.isArray(limiterOptions)) {
+      definitions = limiterOptions;
+    } else if (globalOptions.limits) {
+      // Route-level options override options of every global limit.
+      definitions = globalOptions.limits.map(limit => Object.assign({ ...limit }, limiterOptions));
+    } else {
+      definitions = [limiterOptions];
     }
 
-    if (
-      config.ignore &&
-      typeof config.ignore !== 'function'
-    ) {
-      throw new TypeError('`limiter.ignore` should be a function.');
+    if (definitions.length === 0) {
+      throw new TypeError('`config.limiter` should not be an empty array.');
     }
 
-    if (
-      typeof config.max !== 'number' &&
-      typeof config.max !== 'function'
-    ) {
-      throw new TypeError('`limiter.max` should be a number or a function.');
+    /**
+     * Final limiter configs.
+     * @type {Array<Object>}
+     */
+    const configs = definitions.map((definition, index) => {
+      if (
+        stacked &&
+        (!definition || typeof definition !== 'object')
+      ) {
+        throw new TypeError('`config.limiter` items should be objects.');
+      }
+
+      const defaultName = stacked ? String(index) : 'default';
+
+      return createConfig(globalOptions, inheritBucket(buckets, globalOptions, definition, defaultName, stacked), defaultName);
+    });
+
+    if (new Set(configs.map(config => config.name)).size !== configs.length) {
+      throw new Error('`limiter.name` should be unique per route.');
     }
 
-    if (typeof config.per !== 'number') {
-      throw new TypeError('`limiter.per` should be a number.');
+    for (const config of configs) {
+      stores.add(config.store);
     }
 
-    if (typeof config.storeKeyGenerator !== 'function') {
-      throw new TypeError('`limiter.storeKeyGenerator` should be a function.');
+    // The first route that uses a bucket defines its quota.
+    for (const config of configs) {
+      const bucketId = config.bucket && getBucketId(config.bucket, config.name, stacked);
+
+      if (
+        bucketId &&
+        !buckets.has(bucketId)
+      ) {
+        buckets.set(bucketId, config);
+      }
     }
 
+    routes.push({
+      method: routeOptions.method,
+      url: routeOptions.url,
+      configs,
+      stacked
+    });
+
     /**
      * Rate limiter preHandler.
      * @type {AsyncFunction}
      */
     const limiterPreHandler = properLimiterPreHandlerFactory(
-      config,
+      configs,
 
       {
         method: routeOptions.method,
         url: routeOptions.url
-      }
+      },
+
+      stacked,
+      runtime
     );
 
     // Add a rate limiter preHandler.
-    if (Array.isArray(routeOptions.preHandler)) {
-      routeOptions.preHandler.push(limiterPreHandler);
-    } else if (typeof routeOptions.preHandler === 'function') {
-      routeOptions.preHandler = [routeOptions.preHandler, limiterPreHandler];
-    } else {
-      routeOptions.preHandler = [limiterPreHandler];
+    addRouteHook(routeOptions, 'preHandler', limiterPreHandler);
+
+    // Add an onResponse hook that refunds requests which should not be counted.
+    if (configs.some(isRefundable)) {
+      addRouteHook(routeOptions, 'onResponse', properLimiterOnResponseFactory(configs));
+    }
+
+    // Release concurrency leases once the request is finished, failed or aborted.
+    if (configs.some(config => ALGORITHMS[config.algorithm].release)) {
+      const release = properLimiterReleaseFactory(configs);
+
+      addRouteHook(routeOptions, 'onRequest', async function properLimiterOnRequest (request, reply) {
+        reply.raw.once('close', () => release(request));
+      });
+
+      addRouteHook(routeOptions, 'onError', async function properLimiterOnError (request, reply, error) {
+        await release(request);
+      });
+
+      addRouteHook(routeOptions, 'onResponse', async function properLimiterOnRelease (request, reply) {
+        await release(request);
+      });
     }
   });
 }
 
 /**
- * Limiter preHandler function factory.
- * @param {Object} config Limiter final config
- *   @property {Function} errorResponseGenerator
- *   @property {Function|AsyncFunction} ignore
- *   @property {Integer|Function|AsyncFunction} max
- *   @property {Integer} per
- *   @property {Boolean} skipOnError
- *   @property {Store} store
- *   @property {Function} storeKeyGenerator
- * @param {Object} routeConfig
- *   @property {String} method
- *   @property {String} url
- * @returns {AsyncFunction}
+ * Creates and validates final limiter config.
+ * @param {Object} globalOptions
+ * @param {Object|Boolean} limiterOptions Per-route (or per-limit) options
+ * @param {String} defaultName Default limit name
+ * @returns {Object}
+ * @throws {Error|TypeError}
  * @private
  */
-function properLimiterPreHandlerFactory (config, routeConfig) {
+function createConfig (globalOptions, limiterOptions, defaultName) {
   /**
-   * Rate limiter preHandler.
-   * @param {fastify.Request} request
-   * @param {fastify.Reply} reply
-   * @returns {void}
+   * Final limiter config.
+   * @type {Object}
    */
-  return async function properLimiterPreHandler (request, reply) {
-    /**
-     * Store key for current request.
-     * @type {String}
-     */
-    const storeKey = config.storeKeyGenerator(request, routeConfig);
+  const config = Object.assign({ ...globalOptions }, limiterOptions);
 
-    // Support "whitelisting".
-    if (config.ignore) {
-      let isWhitelisted = config.ignore(request, storeKey);
+  // Header names are merged, so a single header can be switched off
+  // per route without repeating the others.
+  if (limiterOptions.headers) {
+    config.headers = { ...(globalOptions.headers || DEFAULT_HEADERS), ...limiterOptions.headers };
+  }
 
-      if (util.types.isPromise(isWhitelisted)) {
-        [, isWhitelisted] = await to(isWhitelisted);
-      }
+  config.headers = normalizeHeaders(config.headers);
 
-      if (isWhitelisted) {
-        return;
-      }
-    }
+  if (config.name === undefined) {
+    config.name = defaultName;
+  }
 
-    let [
-      /**
-       * Error, if any.
-       * @type {Error}
-       */
-      err,
+  if (
+    typeof config.name !== 'string' ||
+    config.name === ''
+  ) {
+    throw new TypeError('`limiter.name` should be a non-empty string.');
+  }
 
-      /**
-       * Current request number in the time window.
-       * @type {Integer}
-       */
-      current
-    ] = await to(config.store.increment(storeKey, config.per));
+  if (
+    config.bucket !== null &&
+    (typeof config.bucket !== 'string' || config.bucket === '')
+  ) {
+    throw new TypeError('`limiter.bucket` should be a non-empty string.');
+  }
 
-    if (err) {
-      if (config.skipOnError) {
-        return;
-      }
+  if (!HEADERS_FORMATS.includes(config.headersFormat)) {
+    throw new TypeError(`\`limiter.headersFormat\` should be one of: ${HEADERS_FORMATS.join(', ')}.`);
+  }
 
-      throw err;
-    }
+  if (!config.store) {
+    throw new Error('`limiter.store` is required.');
+  }
 
-    /**
-     * Max number of allowed requests.
-     * @type {Integer}
-     */
-    let max;
+  if (typeof config.errorResponseGenerator !== 'function') {
+    throw new TypeError('`limiter.errorResponseGenerator` should be a function.');
+  }
 
-    if (typeof config.max === 'number') {
-      max = config.max;
-    } else {
-      max = config.max(request, storeKey);
+  if (
+    config.ignore &&
+    typeof config.ignore !== 'function'
+  ) {
+    throw new TypeError('`limiter.ignore` should be a function.');
+  }
 
-      if (util.types.isPromise(max)) {
-        [, max] = await to(max);
-      }
-    }
+  if (
+    typeof config.max !== 'number' &&
+    typeof config.max !== 'function'
+  ) {
+    throw new TypeError('`limiter.max` should be a number or a function.');
+  }
 
-    // Limit is not reached yet.
-    if (current <= max) {
-      return;
-    }
+  if (
+    typeof config.per !== 'number' &&
+    typeof config.per !== 'function'
+  ) {
+    throw new TypeError('`limiter.per` should be a number or a function.');
+  }
 
-    // Route error to the fastify error handler.
-    throw config.errorResponseGenerator(
-      request,
+  if (
+    typeof config.cost !== 'function' &&
+    !isPositiveInteger(config.cost)
+  ) {
+    throw new TypeError('`limiter.cost` should be a positive integer or a function.');
+  }
 
-      {
-        max,
-        per: config.per,
+  if (typeof config.storeKeyGenerator !== 'function') {
+    throw new TypeError('`limiter.storeKeyGenerator` should be a function.');
+  }
 
-        ...routeConfig
-      }
-    );
+  if (
+    config.capacity !== null &&
+    !(typeof config.capacity === 'number' && config.capacity > 0)
+  ) {
+    throw new TypeError('`limiter.capacity` should be a positive number.');
   }
-}
 
-// Plugin.
-module.exports = fp(properLimiterPlugin, {
-  fastify: '>=3',
+  if (
+    config.refillRate !== null &&
+    !(typeof config.refillRate === 'number' && config.refillRate > 0)
+  ) {
+    throw new TypeError('`limiter.refillRate` should be a positive number.');
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(ALGORITHMS, config.algorithm)) {
+    throw new TypeError(`\`limiter.algorithm\` should be one of: ${Object.keys(ALGORITHMS).join(', ')}.`);
+  }
+
+  if (typeof config.store[ALGORITHMS[config.algorithm].method] !== 'function') {
+    throw new Error(`\`limiter.store\` does not support "${config.algorithm}" algorithm (\`${ALGORITHMS[config.algorithm].method}\` method is missing).`);
+  }
+
+  if (ALGORITHMS[config.algorithm].releaseMethod) {
+    const { releaseMethod } = ALGORITHMS[config.algorithm];
+
+    if (typeof config.store[releaseMethod] !== 'function') {
+      throw new Error(`\`limiter.store\` does not support "${config.algorithm}" algorithm (\`${releaseMethod}\` method is missing).`);
+    }
+
+    // Every request holds a single lease.
+    if (config.cost !== 1) {
+      throw new TypeError(`\`limiter.cost\` is not supported by "${config.algorithm}" algorithm.`);
+    }
+  }
+
+  if (config.ban) {
+    if (
+      typeof config.ban !== 'object' ||
+      !isPositiveInteger(config.ban.after) ||
+      !(typeof config.ban.within === 'number' && config.ban.within > 0) ||
+      !(typeof config.ban.duration === 'number' && config.ban.duration > 0)
+    ) {
+      throw new TypeError('`limiter.ban` should be an object with positive `after`, `within` and `duration` numbers.');
+    }
+
+    if (
+      typeof config.store.ban !== 'function' ||
+      typeof config.store.getBan !== 'function' ||
+      typeof config.store.increment !== 'function'
+    ) {
+      throw new Error('`limiter.store` does not support bans (`ban`, `getBan` and `increment` methods are required).');
+    }
+  }
+
+  if (
+    config.shouldCount &&
+    typeof config.shouldCount !== 'function'
+  ) {
+    throw new TypeError('`limiter.shouldCount` should be a function.');
+  }
+
+  if (isRefundable(config)) {
+    const { refundMethod } = ALGORITHMS[config.algorithm];
+
+    if (!refundMethod) {
+      throw new Error(`Refunds (\`limiter.skipSuccessfulRequests\`, \`limiter.skipFailedRequests\`, \`limiter.shouldCount\`) are not supported by "${config.algorithm}" algorithm.`);
+    }
+
+    if (typeof config.store[refundMethod] !== 'function') {
+      throw new Error(`\`limiter.store\` does not support refunds (\`${refundMethod}\` method is missing).`);
+    }
+  }
+
+  if (
+    config.queue &&
+    (
+      typeof config.queue !== 'object' ||
+      !isPositiveInteger(config.queue.maxLength) ||
+      !(typeof config.queue.maxWait === 'number' && config.queue.maxWait > 0)
+    )
+  ) {
+    throw new TypeError('`limiter.queue` should be an object with positive `maxLength` and `maxWait` numbers.');
+  }
+
+  if (
+    config.delayAfter !== null &&
+    !(Number.isInteger(config.delayAfter) && config.delayAfter >= 0)
+  ) {
+    throw new TypeError('`limiter.delayAfter` should be a non-negative integer.');
+  }
+
+  if (
+    typeof config.delayMs !== 'function' &&
+    !(typeof config.delayMs === 'number' && config.delayMs >= 0)
+  ) {
+    throw new TypeError('`limiter.delayMs` should be a non-negative number or a function.');
+  }
+
+  if (!(typeof config.maxDelayMs === 'number' && config.maxDelayMs >= 0)) {
+    throw new TypeError('`limiter.maxDelayMs` should be a non-negative number.');
+  }
+
+  for (const callback of ['onAllowed', 'onExceeded', 'onStoreError']) {
+    if (
+      config[callback] !== null &&
+      typeof config[callback] !== 'function'
+    ) {
+      throw new TypeError(`\`limiter.${callback}\` should be a function.`);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Limiter preHandler function factory.
+ * @param {Array<Object>} configs Limiter final configs (one per limit)
+ * @param {Object} routeConfig
+ *   @property {String} method
+ *   @property {String} url
+ * @param {Boolean} stacked Whether several limits are stacked on the route
+ * @param {Object} runtime State shared by the limiter hooks
+ *   @property {Map<String, Object>} queues
+ *   @property {Metrics} metrics
+ *   @property {EventEmitter} events
+ *   @property {LocalStore} overages
+ * @returns {AsyncFunction}
+ * @private
+ *
+ * * Headers are generated with the options of the first limit.
+ */
+function properLimiterPreHandlerFactory (configs, routeConfig, stacked, runtime) {
+  /**
+   * Rate limiter preHandler.
+   * @param {fastify.Request} request
+   * @param {fastify.Reply} reply
+   * @returns {void}
+   */
+  return async function properLimiterPreHandler (request, reply) {
+    /**
+     * Results of the limits (`null` if a limit was not applied).
+     * @type {Array<Object|null>}
+     */
+    let [err, results] = await to(consumeLimits(configs, request, routeConfig, stacked, runtime));
+
+    if (err) {
+      countRequest(runtime.metrics, request, routeConfig, DECISIONS.ERROR);
+
+      throw err;
+    }
+
+    /**
+     * Index of the exceeded limit, if any.
+     * @type {Integer}
+     */
+    let index = results.findIndex(result => result && result.exceeded);
+
+    /**
+     * Outcome of waiting in the queue, if the request was queued.
+     * @type {String}
+     */
+    let queueOutcome;
+
+    // Wait until the exceeded limits let the request through, if all of them are queued.
+    if (
+      index !== -1 &&
+      results.every((result, i) => !result || !result.exceeded || (configs[i].queue && !result.banned))
+    ) {
+      queueOutcome = await enqueue(runtime.queues, results[index].key, configs[index].queue, reply, getQueueWait(results), async () => {
+        // Limits that are not exceeded are already consumed.
+        results = await consumeLimits(configs, request, routeConfig, stacked, runtime, results);
+
+        return getQueueWait(results);
+      });
+
+      // Client is gone, so the handler is skipped.
+      if (queueOutcome === 'aborted') {
+        hijack(reply);
+
+        return;
+      }
+
+      index = results.findIndex(result => result && result.exceeded);
+    }
+
+    setHeaders(reply, configs[0], results.filter(Boolean));
+
+    // Limit is not reached yet, but the request may have to be slowed down.
+    if (index === -1) {
+      let decision = DECISIONS.IGNORED;
+
+      if (request[kSkipped]) {
+        decision = DECISIONS.SKIPPED;
+      } else if (results.some(Boolean)) {
+        decision = DECISIONS.ALLOWED;
+      }
+
+      countRequest(runtime.metrics, request, routeConfig, decision);
+
+      if (decision === DECISIONS.ALLOWED) {
+        notify(runtime, 'allowed', configs[0].onAllowed, request, {
+          limits: results.filter(Boolean).map(result => ({
+            limit: result.name,
+            key: result.key,
+            max: result.max,
+            per: result.per,
+            current: result.current,
+            remaining: Math.max(0, result.max - result.current),
+            reset: Math.max(0, Math.ceil(result.ttl / 1000))
+          })),
+
+          ...routeConfig
+        });
+      }
+
+      const delay = Math.max(0, ...results.map(result => (result && result.delay) || 0));
+
+      // Client is gone, so the handler is skipped.
+      if (
+        delay > 0 &&
+        !(await delayRequest(reply, delay))
+      ) {
+        hijack(reply);
+      }
+
+      return;
+    }
+
+    /**
+     * Exceeded limit.
+     * @type {Object}
+     */
+    const exceeded = results[index];
+
+    countRequest(runtime.metrics, request, routeConfig, DECISIONS.REJECTED);
+
+    /**
+     * Context of the rejection.
+     * @type {Object}
+     */
+    const context = {
+      reason: queueOutcome || (exceeded.banned ? 'banned' : 'limit'),
+      limit: exceeded.name,
+      max: exceeded.max,
+      per: exceeded.per,
+      reset: Math.max(0, Math.ceil(exceeded.ttl / 1000)),
+      retryAfter: Math.max(0, Math.ceil((exceeded.retryAfter === undefined ? exceeded.ttl : exceeded.retryAfter) / 1000)),
+
+      ...routeConfig
+    };
+
+    if (
+      configs[index].onExceeded ||
+      runtime.events.listenerCount('exceeded') > 0
+    ) {
+      // Overages are tracked until the window (or the ban) resets.
+      let [, overage] = await to(runtime.overages.increment(exceeded.key, Math.max(1, exceeded.ttl) / 1000));
+
+      notify(runtime, 'exceeded', configs[index].onExceeded, request, {
+        ...context,
+        key: exceeded.key,
+        first: !overage || overage.current === 1
+      });
+    }
+
+    // Route error to the fastify error handler.
+    throw configs[index].errorResponseGenerator(request, context);
+  }
+}
+
+/**
+ * Applies a single limit to the request.
+ * @param {Object} config Limiter final config
+ *   @property {String} algorithm
+ *   @property {Integer} capacity
+ *   @property {Integer|Function|AsyncFunction} cost
+ *   @property {Function|AsyncFunction} ignore
+ *   @property {Integer|Function|AsyncFunction} max
+ *   @property {String} name
+ *   @property {Integer|Function|AsyncFunction} per
+ *   @property {Number} refillRate
+ *   @property {Boolean} skipOnError
+ *   @property {Store} store
+ *   @property {Function} storeKeyGenerator
+ * @param {fastify.Request} request
+ * @param {Object} routeConfig
+ *   @property {String} method
+ *   @property {String} url
+ * @param {Boolean} stacked Whether several limits are stacked on the route
+ * @param {Object} runtime State shared by the limiter hooks
+ * @returns {Object|null} Limit result or `null` if the limit was not applied
+ *   @property {String} name
+ *   @property {String} key Store key
+ *   @property {Object} params Algorithm parameters
+ *   @property {Integer} max
+ *   @property {Integer} per
+ *   @property {Integer} current
+ *   @property {Integer} ttl
+ *   @property {Integer} [retryAfter]
+ *   @property {Boolean} exceeded
+ *   @property {Integer} [delay] Time to delay the request by (milliseconds)
+ * @private
+ */
+async function consumeLimit (config, request, routeConfig, stacked, runtime) {
+  /**
+   * Store key for current request.
+   * @type {String}
+   */
+  const storeKey = config.storeKeyGenerator(
+    request,
+    config.bucket ? { ...routeConfig, bucket: config.bucket } : routeConfig
+  ) + (stacked ? `:${config.name}` : '');
+
+  // Support "whitelisting".
+  if (config.ignore) {
+    let isWhitelisted = config.ignore(request, storeKey);
+
+    if (util.types.isPromise(isWhitelisted)) {
+      [, isWhitelisted] = await to(isWhitelisted);
+    }
+
+    if (isWhitelisted) {
+      return null;
+    }
+  }
+
+  let [
+    /**
+     * Error of the dynamic "max", if any.
+     * @type {Error}
+     */
+    maxErr,
+
+    /**
+     * Max number of allowed requests.
+     * @type {Integer}
+     */
+    max
+  ] = await to(resolveOption(config.max, request, storeKey, isNonNegativeNumber, '`limiter.max` should resolve to a non-negative number.'));
+
+  // Invalid "max" must not let the request through, unless errors are skipped.
+  if (maxErr) {
+    return skipOrThrow(config, request, maxErr);
+  }
+
+  let [
+    /**
+     * Error of the dynamic "per", if any.
+     * @type {Error}
+     */
+    perErr,
+
+    /**
+     * Time window (seconds).
+     * @type {Integer}
+     */
+    per
+  ] = await to(resolveOption(config.per, request, storeKey, isPositiveNumber, '`limiter.per` should resolve to a positive number.'));
+
+  if (perErr) {
+    return skipOrThrow(config, request, perErr);
+  }
+
+  let [
+    /**
+     * Error of the dynamic "cost", if any.
+     * @type {Error}
+     */
+    costErr,
+
+    /**
+     * Number of units of quota consumed by the request.
+     * @type {Integer}
+     */
+    cost
+  ] = await to(resolveOption(config.cost, request, storeKey, isPositiveInteger, '`limiter.cost` should resolve to a positive integer.'));
+
+  if (costErr) {
+    return skipOrThrow(config, request, costErr);
+  }
+
+  /**
+   * Rate limiting algorithm.
+   * @type {Object}
+   */
+  const algorithm = ALGORITHMS[config.algorithm];
+
+  /**
+   * Algorithm parameters.
+   * @type {Object}
+   */
+  const params = algorithm.params ? algorithm.params(config, { max, per, cost }) : { max, per, cost };
+
+  // Banned clients are rejected before the limit is consumed.
+  if (config.ban) {
+    let [err, banTtl] = await to(config.store.getBan(`${storeKey}:ban`));
+
+    if (err) {
+      notifyStoreError(runtime, config, request, err, storeKey, routeConfig);
+
+      return skipOrThrow(config, request, err);
+    }
+
+    if (banTtl > 0) {
+      return {
+        name: config.name,
+        key: storeKey,
+        params,
+        max: params.max,
+        per: params.per,
+        current: params.max + params.cost,
+        ttl: banTtl,
+        retryAfter: banTtl,
+        exceeded: true,
+        banned: true
+      }
+    }
+  }
+
+  /**
+   * Start time of the store call.
+   * @type {Array<Integer>}
+   */
+  const start = process.hrtime();
+
+  let [
+    /**
+     * Error, if any.
+     * @type {Error}
+     */
+    err,
+
+    /**
+     * Store result.
+     * @type {Object|Integer}
+     */
+    result
+  ] = await to(algorithm.consume(config.store, storeKey, params));
+
+  if (runtime.metrics) {
+    const [seconds, nanoseconds] = process.hrtime(start);
+
+    runtime.metrics.observeStore(algorithm.method, seconds + nanoseconds / 1e9);
+  }
+
+  if (err) {
+    notifyStoreError(runtime, config, request, err, storeKey, routeConfig);
+
+    return skipOrThrow(config, request, err);
+  }
+
+  /**
+   * Current request number in the time window, time left until
+   * the time window resets and until a request is allowed (milliseconds).
+   * @type {Object}
+   */
+  const { current, ttl, retryAfter } = normalizeStoreResult(result, params.per);
+
+  /**
+   * Whether the limit is exceeded.
+   * @type {Boolean}
+   */
+  const exceeded = !(current <= params.max);
+
+  /**
+   * Whether the request is rejected only because its cost is greater than
+   * the remaining budget. Such a request is given back, so it does not use
+   * up the quota left for cheaper requests.
+   * @type {Boolean}
+   */
+  const overflowed = Boolean(
+    exceeded &&
+    current - params.cost < params.max &&
+    algorithm.refund &&
+    typeof config.store[algorithm.refundMethod] === 'function'
+  );
+
+  if (overflowed) {
+    let [refundErr] = await to(algorithm.refund(config.store, storeKey, params));
+
+    // The request is rejected anyway, so the error is only logged.
+    if (refundErr) {
+      request.log.error(refundErr, 'fastify-proper-limiter: refund failed');
+    }
+  }
+
+  /**
+   * Ban duration (milliseconds), if the client has just been banned.
+   * @type {Integer}
+   */
+  const banTtl = exceeded && config.ban ? await registerOverage(config, storeKey) : 0;
+
+  if (banTtl > 0) {
+    return {
+      name: config.name,
+      key: storeKey,
+      params,
+      max: params.max,
+      per: params.per,
+      current,
+      ttl: banTtl,
+      retryAfter: banTtl,
+      exceeded,
+      banned: true
+    }
+  }
+
+  return {
+    name: config.name,
+    key: storeKey,
+    params,
+    max: params.max,
+    per: params.per,
+    current,
+    ttl,
+    retryAfter,
+    exceeded,
+    refunded: overflowed,
+    delay: exceeded ? 0 : await getDelay(config, request, current)
+  }
+}
+
+/**
+ * Tells fastify that the reply is handled by the plugin, so the handler
+ * is skipped and nothing is sent to a client that is gone.
+ * @param {fastify.Reply} reply
+ * @returns {void}
+ * @private
+ *
+ * * `reply.hijack()` is available since fastify 3.11.0, earlier 3.x
+ * * versions are hijacked by setting `reply.sent`.
+ */
+function hijack (reply) {
+  if (typeof reply.hijack === 'function') {
+    reply.hijack();
+  } else {
+    reply.sent = true;
+  }
+}
+
+/**
+ * Consumes the limits of a route. Results are kept in the request, so
+ * consumed limits can be refunded and concurrency leases released once
+ * the response is sent, even if another limit fails.
+ * @param {Array<Object>} configs Limiter final configs (one per limit)
+ * @param {fastify.Request} request
+ * @param {Object} routeConfig
+ * @param {Boolean} stacked Whether several limits are stacked on the route
+ * @param {Object} runtime State shared by the limiter hooks
+ * @param {Array<Object|null>} [previous] Results of the previous attempt,
+ *                                        only exceeded limits are consumed again
+ * @returns {Array<Object|null>} Results of the limits (`null` if a limit was not applied)
+ * @throws {Error} The first error of the limits
+ * @private
+ */
+async function consumeLimits (configs, request, routeConfig, stacked, runtime, previous) {
+  const settled = await Promise.all(configs.map((config, i) => {
+    if (
+      previous &&
+      !(previous[i] && previous[i].exceeded)
+    ) {
+      return [null, previous[i]];
+    }
+
+    return to(consumeLimit(config, request, routeConfig, stacked, runtime));
+  }));
+
+  request[kConsumed] = settled.map(([err, result]) => err ? null : result);
+
+  const failed = settled.find(([err]) => err);
+
+  if (failed) {
+    throw failed[0];
+  }
+
+  return request[kConsumed];
+}
+
+/**
+ * Computes the slow-down delay of a request.
+ * @param {Object} config Limiter final config
+ *   @property {Integer} delayAfter
+ *   @property {Number|Function|AsyncFunction} delayMs
+ *   @property {Number} maxDelayMs
+ * @param {fastify.Request} request
+ * @param {Integer} current Current request number in the time window
+ * @returns {Number} Delay (milliseconds)
+ * @private
+ */
+async function getDelay (config, request, current) {
+  if (
+    config.delayAfter === null ||
+    current <= config.delayAfter
+  ) {
+    return 0;
+  }
+
+  const overage = current - config.delayAfter;
+
+  let delay = typeof config.delayMs === 'function'
+    ? config.delayMs(overage, request)
+    : config.delayMs * overage;
+
+  if (util.types.isPromise(delay)) {
+    [, delay] = await to(delay);
+  }
+
+  if (!(typeof delay === 'number' && delay > 0)) {
+    return 0;
+  }
+
+  return Math.min(delay, config.maxDelayMs);
+}
+
+/**
+ * Waits in the queue of a key (FIFO) until the limit lets the request through.
+ * @param {Map<String, Object>} queues Queues of requests that exceed the limit
+ * @param {String} key Store key
+ * @param {Object} options
+ *   @property {Integer} maxLength
+ *   @property {Integer} maxWait
+ * @param {fastify.Reply} reply
+ * @param {Integer} wait Time to wait before the first attempt (milliseconds)
+ * @param {AsyncFunction} attempt Consumes the limit again and resolves to the
+ *                                time to wait before the next attempt (`0` if passed)
+ * @returns {String} "passed", "queue-full", "queue-timeout" or "aborted"
+ * @throws {Error} If the limit could not be consumed
+ * @private
+ */
+async function enqueue (queues, key, { maxLength, maxWait }, reply, wait, attempt) {
+  let queue = queues.get(key);
+
+  if (!queue) {
+    queue = {
+      length: 0,
+      tail: Promise.resolve()
+    }
+
+    queues.set(key, queue);
+  }
+
+  if (queue.length >= maxLength) {
+    return 'queue-full';
+  }
+
+  queue.length++;
+
+  /**
+   * Time after which the request leaves the queue.
+   * @type {Integer}
+   */
+  const deadline = Date.now() + maxWait;
+
+  /**
+   * Time of the first attempt.
+   * @type {Integer}
+   */
+  const readyAt = Date.now() + wait;
+
+  /**
+   * Turn of the request, it starts once previous requests leave the queue.
+   * @type {Promise<String>}
+   */
+  const turn = queue.tail.then(async () => {
+    let delay = Math.max(0, readyAt - Date.now());
+
+    do {
+      // Fail fast if the limit does not let the request through in time.
+      if (Date.now() + delay > deadline) {
+        return 'queue-timeout';
+      }
+
+      if (
+        delay > 0 &&
+        !(await delayRequest(reply, delay))
+      ) {
+        return 'aborted';
+      }
+
+      delay = await attempt();
+    } while (delay > 0);
+
+    return 'passed';
+  });
+
+  queue.tail = turn.catch(() => {});
+
+  let [err, outcome] = await to(turn);
+
+  queue.length--;
+
+  if (queue.length === 0) {
+    queues.delete(key);
+  }
+
+  if (err) {
+    throw err;
+  }
+
+  return outcome;
+}
+
+/**
+ * Returns time to wait until the exceeded limits may let the request through.
+ * @param {Array<Object|null>} results Results of the limits
+ * @returns {Integer} Time to wait (milliseconds) or `0` if no limit is exceeded
+ * @private
+ */
+function getQueueWait (results) {
+  const waits = results
+    .filter(result => result && result.exceeded)
+    .map(result => result.retryAfter === undefined ? result.ttl : result.retryAfter);
+
+  return waits.length === 0 ? 0 : Math.max(1, ...waits);
+}
+
+/**
+ * Delays a request.
+ * @param {fastify.Reply} reply
+ * @param {Number} delay Delay (milliseconds)
+ * @returns {Boolean} `false` if the client disconnected while waiting
+ * @private
+ */
+function delayRequest (reply, delay) {
+  return new Promise(resolve => {
+    const onClose = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+
+    const timer = setTimeout(() => {
+      reply.raw.removeListener('close', onClose);
+      resolve(true);
+    }, delay);
+
+    reply.raw.once('close', onClose);
+  });
+}
+
+/**
+ * Counts an exceeded limit and bans the client if it exceeds
+ * the limit too often.
+ * @param {Object} config Limiter final config
+ *   @property {Object} ban
+ *   @property {Boolean} skipOnError
+ *   @property {Store} store
+ * @param {String} storeKey
+ * @returns {Integer} Ban duration (milliseconds) or `0` if the client is not banned
+ * @private
+ */
+async function registerOverage (config, storeKey) {
+  let [err, result] = await to(config.store.increment(`${storeKey}:overages`, config.ban.within));
+
+  if (!err) {
+    const { current } = normalizeStoreResult(result, config.ban.within);
+
+    if (current < config.ban.after) {
+      return 0;
+    }
+
+    [err] = await to(config.store.ban(`${storeKey}:ban`, config.ban.duration));
+  }
+
+  if (err) {
+    if (config.skipOnError) {
+      return 0;
+    }
+
+    throw err;
+  }
+
+  return config.ban.duration * 1000;
+}
+
+/**
+ * Limiter onResponse function factory.
+ * @param {Array<Object>} configs Limiter final configs (one per limit)
+ * @returns {AsyncFunction}
+ * @private
+ */
+function properLimiterOnResponseFactory (configs) {
+  /**
+   * Rate limiter onResponse.
+   * @param {fastify.Request} request
+   * @param {fastify.Reply} reply
+   * @returns {void}
+   */
+  return async function properLimiterOnResponse (request, reply) {
+    /**
+     * Results of the limits consumed by the preHandler.
+     * @type {Array<Object|null>}
+     */
+    const results = request[kConsumed];
+
+    if (!results) {
+      return;
+    }
+
+    await Promise.all(results.map(async (result, index) => {
+      const config = configs[index];
+
+      // Nothing was consumed for banned clients, and requests
+      // that overflowed the budget are already given back.
+      if (
+        !result ||
+        result.banned ||
+        result.refunded ||
+        !isRefundable(config)
+      ) {
+        return;
+      }
+
+      let shouldCount;
+
+      if (config.shouldCount) {
+        shouldCount = config.shouldCount(request, reply);
+
+        if (util.types.isPromise(shouldCount)) {
+          [, shouldCount] = await to(shouldCount);
+        }
+      } else {
+        const failed = reply.statusCode >= 400;
+
+        shouldCount = failed ? !config.skipFailedRequests : !config.skipSuccessfulRequests;
+      }
+
+      if (shouldCount) {
+        return;
+      }
+
+      let [err] = await to(ALGORITHMS[config.algorithm].refund(config.store, result.key, result.params));
+
+      // The response is already sent, so the error can only be logged.
+      if (err) {
+        request.log.error(err, 'fastify-proper-limiter: refund failed');
+      }
+    }));
+  }
+}
+
+/**
+ * Limiter release function factory.
+ * @param {Array<Object>} configs Limiter final configs (one per limit)
+ * @returns {AsyncFunction}
+ * @private
+ *
+ * * Release is called from several hooks, but leases are released only once.
+ */
+function properLimiterReleaseFactory (configs) {
+  /**
+   * Releases concurrency leases acquired by the preHandler.
+   * @param {fastify.Request} request
+   * @returns {void}
+   */
+  return async function properLimiterRelease (request) {
+    /**
+     * Results of the limits consumed by the preHandler.
+     * @type {Array<Object|null>}
+     */
+    const results = request[kConsumed];
+
+    if (
+      !results ||
+      request[kReleased]
+    ) {
+      return;
+    }
+
+    request[kReleased] = true;
+
+    await Promise.all(results.map(async (result, index) => {
+      const config = configs[index];
+      const { release } = ALGORITHMS[config.algorithm];
+
+      // Nothing was acquired for rejected requests.
+      if (
+        !result ||
+        result.exceeded ||
+        !release
+      ) {
+        return;
+      }
+
+      let [err] = await to(release(config.store, result.key, result.params));
+
+      // The request is already finished, so the error can only be logged.
+      if (err) {
+        request.log.error(err, 'fastify-proper-limiter: release failed');
+      }
+    }));
+  }
+}
+
+/**
+ * Fills in the quota of an already defined shared bucket.
+ * @param {Map<String, Object>} buckets Configs of shared buckets
+ * @param {Object} globalOptions
+ * @param {Object|Boolean} limiterOptions Per-route (or per-limit) options
+ * @param {String} defaultName Default limit name
+ * @param {Boolean} stacked Whether several limits are stacked on the route
+ * @returns {Object|Boolean} Limiter options
+ * @throws {Error} If the options conflict with the bucket definition
+ * @private
+ */
+function inheritBucket (buckets, globalOptions, limiterOptions, defaultName, stacked) {
+  const options = typeof limiterOptions === 'object' ? limiterOptions : {};
+  const bucket = options.bucket !== undefined ? options.bucket : globalOptions.bucket;
+  const definition = buckets.get(getBucketId(bucket, options.name !== undefined ? options.name : defaultName, stacked));
+
+  if (!definition) {
+    return limiterOptions;
+  }
+
+  const inherited = {};
+
+  for (const option of BUCKET_OPTIONS) {
+    if (options[option] === undefined) {
+      inherited[option] = definition[option];
+    } else if (options[option] !== definition[option]) {
+      throw new Error(`\`limiter.${option}\` conflicts with the definition of "${bucket}" bucket.`);
+    }
+  }
+
+  return Object.assign(inherited, options);
+}
+
+/**
+ * Returns an identifier of a shared bucket. Stacked limits
+ * are kept in separate buckets.
+ * @param {String} bucket Bucket name
+ * @param {String} name Limit name
+ * @param {Boolean} stacked Whether several limits are stacked on the route
+ * @returns {String}
+ * @private
+ */
+function getBucketId (bucket, name, stacked) {
+  return stacked ? `${bucket}:${name}` : bucket;
+}
+
+/**
+ * Creates `fastify.limiter` decorator that lists limited routes, and
+ * inspects and resets keys of all stores used by the limiter. It is an
+ * EventEmitter of "allowed", "exceeded" and "storeError" events.
+ * @param {Set<Store>} stores
+ * @param {Array<Object>} routes Limited routes
+ * @param {Metrics} metrics Limiter metrics (`null` if disabled)
+ * @returns {EventEmitter}
+ * @private
+ *
+ * * `get`, `keys`, `reset` and `resetAll` store methods are optional, stores
+ * * without them are skipped (an error is thrown if none of the stores
+ * * supports a method).
+ */
+function createLimiterDecorator (stores, routes, metrics) {
+  /**
+   * Returns stores that support a method.
+   * @param {String} method
+   * @returns {Array<Store>}
+   * @throws {Error} If none of the stores supports the method
+   */
+  const getStores = method => {
+    const supported = [...stores].filter(store => typeof store[method] === 'function');
+
+    if (supported.length === 0) {
+      throw new Error(`\`limiter.store\` does not support "${method}" method.`);
+    }
+
+    return supported;
+  }
+
+  return Object.assign(new EventEmitter(), {
+    /**
+     * Returns limiter metrics in Prometheus text format.
+     * @returns {String}
+     * @throws {Error} If metrics are disabled
+     */
+    getMetrics () {
+      if (!metrics) {
+        throw new Error('`metrics` option is disabled.');
+      }
+
+      return metrics.toPrometheus();
+    },
+
+    /**
+     * Returns limited routes and their limits. Dynamic options
+     * (functions) are described as "dynamic".
+     * @returns {Array<Object>}
+     *   @property {String|Array<String>} method
+     *   @property {String} url
+     *   @property {Array<Object>} limits
+     */
+    routes () {
+      return routes.map(({ method, url, configs }) => ({
+        method,
+        url,
+        limits: configs.map(describeConfig)
+      }));
+    },
+
+    /**
+     * Returns store keys starting with a prefix from all stores.
+     * @param {String} [prefix=""]
+     * @param {Integer} [limit=Infinity] Max. number of keys
+     * @returns {Array<String>}
+     */
+    async keys (prefix = '', limit = Infinity) {
+      const keys = new Set();
+
+      for (const store of getStores('keys')) {
+        if (keys.size >= limit) {
+          break;
+        }
+
+        for (const key of await store.keys(prefix, limit - keys.size)) {
+          keys.add(key);
+        }
+      }
+
+      return [...keys].slice(0, limit);
+    },
+
+    /**
+     * Returns a value by store key from the first store that has it.
+     * @param {String} key
+     * @returns {Object|null}
+     *   @property {Integer|Object} value
+     *   @property {Integer} ttl Time left until the key expires (milliseconds)
+     */
+    async get (key) {
+      for (const store of getStores('get')) {
+        let result = await store.get(key);
+
+        if (result) {
+          return result;
+        }
+      }
+
+      return null;
+    },
+
+    /**
+     * Resets a store key in all stores. Keys derived from it (stacked
+     * limits, bans and overages) are reset as well.
+     * @param {String} key
+     * @returns {void}
+     */
+    async reset (key) {
+      // Derived keys are listed explicitly instead of being reset by the
+      // "<key>:" prefix, since keys of other clients can start with it
+      // (e.g. IPv6 addresses: "::1" and "::1:5").
+      const limitKeys = new Set([key]);
+      const keys = [];
+
+      for (const route of routes) {
+        if (route.stacked) {
+          route.configs.forEach(config => limitKeys.add(`${key}:${config.name}`));
+        }
+      }
+
+      for (const limitKey of limitKeys) {
+        keys.push(limitKey, `${limitKey}:ban`, `${limitKey}:overages`);
+      }
+
+      for (const store of getStores('reset')) {
+        for (const storeKey of keys) {
+          await store.reset(storeKey);
+        }
+      }
+    },
+
+    /**
+     * Resets all keys starting with a prefix in all stores.
+     * @param {String} prefix
+     * @returns {Integer} Number of reset keys
+     */
+    async resetAll (prefix) {
+      if (
+        typeof prefix !== 'string' ||
+        prefix.length === 0
+      ) {
+        throw new TypeError('`prefix` should be a non-empty string.');
+      }
+
+      let count = 0;
+
+      for (const store of getStores('resetAll')) {
+        count += await store.resetAll(prefix);
+      }
+
+      return count;
+    }
+  });
+}
+
+/**
+ * Calls a lifecycle callback and emits the event on `fastify.limiter`.
+ * Errors are logged, so side effects never break the request.
+ * @param {Object} runtime State shared by the limiter hooks
+ * @param {String} event Event name
+ * @param {Function|AsyncFunction} callback Callback from the limiter options, if any
+ * @param {fastify.Request} request
+ * @param {...Any} args
+ * @returns {void}
+ * @private
+ */
+function notify (runtime, event, callback, request, ...args) {
+  // Listeners are called directly (instead of `emit`), so errors of async
+  // listeners are handled as well. Raw listeners include "once" wrappers,
+  // which remove themselves when called.
+  const listeners = runtime.events.rawListeners(event);
+
+  if (callback) {
+    listeners.unshift(callback);
+  }
+
+  for (const listener of listeners) {
+    let result;
+
+    try {
+      result = listener.call(runtime.events, request, ...args);
+    } catch (err) {
+      request.log.error(err, `fastify-proper-limiter: "${event}" callback failed`);
+
+      continue;
+    }
+
+    if (util.types.isPromise(result)) {
+      result.catch(err => request.log.error(err, `fastify-proper-limiter: "${event}" callback failed`));
+    }
+  }
+}
+
+/**
+ * Notifies about a store error.
+ * @param {Object} runtime State shared by the limiter hooks
+ * @param {Object} config Limiter final config
+ * @param {fastify.Request} request
+ * @param {Error} err Store error
+ * @param {String} storeKey
+ * @param {Object} routeConfig
+ * @returns {void}
+ * @private
+ */
+function notifyStoreError (runtime, config, request, err, storeKey, routeConfig) {
+  notify(runtime, 'storeError', config.onStoreError, request, err, {
+    limit: config.name,
+    key: storeKey,
+    skipped: config.skipOnError,
+
+    ...routeConfig
+  });
+}
+
+/**
+ * Counts a limiter decision, if metrics are enabled.
+ * @param {Metrics} metrics
+ * @param {fastify.Request} request
+ * @param {Object} routeConfig
+ *   @property {String} url
+ * @param {String} decision
+ * @returns {void}
+ * @private
+ */
+function countRequest (metrics, request, routeConfig, decision) {
+  if (metrics) {
+    metrics.countRequest(routeConfig.url, request.method, decision);
+  }
+}
+
+/**
+ * Describes a limit of a route.
+ * @param {Object} config Limiter final config
+ * @returns {Object}
+ * @private
+ */
+function describeConfig (config) {
+  const description = {};
+
+  for (const option of DESCRIBED_OPTIONS) {
+    if (
+      config[option] !== null &&
+      config[option] !== undefined
+    ) {
+      description[option] = typeof config[option] === 'function' ? 'dynamic' : config[option];
+    }
+  }
+
+  return description;
+}
+
+/**
+ * Adds a hook to the route options, keeping existing hooks.
+ * @param {Object} routeOptions
+ * @param {String} name Hook name
+ * @param {Function|AsyncFunction} hook
+ * @returns {void}
+ * @private
+ */
+function addRouteHook (routeOptions, name, hook) {
+  if (Array.isArray(routeOptions[name])) {
+    routeOptions[name].push(hook);
+  } else if (typeof routeOptions[name] === 'function') {
+    routeOptions[name] = [routeOptions[name], hook];
+  } else {
+    routeOptions[name] = [hook];
+  }
+}
+
+/**
+ * Checks whether requests may have to be refunded.
+ * @param {Object} config Limiter final config
+ * @returns {Boolean}
+ * @private
+ */
+function isRefundable (config) {
+  return Boolean(
+    config.shouldCount ||
+    config.skipFailedRequests ||
+    config.skipSuccessfulRequests
+  );
+}
+
+/**
+ * Resolves an option that can be a value or a (sync or async) function
+ * of the request.
+ * @param {Any|Function|AsyncFunction} option
+ * @param {fastify.Request} request
+ * @param {String} storeKey
+ * @param {Function} [isValid] Validates the resolved value
+ * @param {String} [message] Error message if the value is invalid
+ * @returns {Any}
+ * @throws {Error|TypeError} If the function fails or the value is invalid
+ * @private
+ */
+async function resolveOption (option, request, storeKey, isValid, message) {
+  let value = option;
+
+  if (typeof option === 'function') {
+    value = option(request, storeKey);
+
+    if (util.types.isPromise(value)) {
+      let err;
+
+      [err, value] = await to(value);
+
+      if (err) {
+        throw err;
+      }
+    }
+  }
+
+  if (
+    isValid &&
+    !isValid(value)
+  ) {
+    throw new TypeError(message);
+  }
+
+  return value;
+}
+
+/**
+ * Skips a limit that cannot be applied if `skipOnError` is enabled,
+ * otherwise throws the error.
+ * @param {Object} config Limiter final config
+ *   @property {Boolean} skipOnError
+ * @param {fastify.Request} request
+ * @param {Error} err
+ * @returns {null}
+ * @throws {Error} If errors are not skipped
+ * @private
+ */
+function skipOrThrow (config, request, err) {
+  if (!config.skipOnError) {
+    throw err;
+  }
+
+  request[kSkipped] = true;
+
+  return null;
+}
+
+/**
+ * Checks whether a value is a finite non-negative number.
+ * @param {Any} value
+ * @returns {Boolean}
+ * @private
+ */
+function isNonNegativeNumber (value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Checks whether a value is a finite positive number.
+ * @param {Any} value
+ * @returns {Boolean}
+ * @private
+ */
+function isPositiveNumber (value) {
+  return isNonNegativeNumber(value) && value > 0;
+}
+
+/**
+ * Checks whether a value is a positive integer.
+ * @param {Any} value
+ * @returns {Boolean}
+ * @private
+ */
+function isPositiveInteger (value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Checks whether a route matches any of the exclude patterns.
+ * @param {Array<String|RegExp|Object>} exclude
+ * @param {Object} routeOptions
+ *   @property {String|Array<String>} method
+ *   @property {String} url
+ * @returns {Boolean}
+ * @private
+ */
+function isExcluded (exclude, { method, url }) {
+  const methods = [].concat(method);
+
+  /**
+   * Matches a route URL against a pattern.
+   * @param {String|RegExp} pattern
+   * @returns {Boolean}
+   */
+  const matchUrl = pattern => pattern instanceof RegExp ? pattern.test(url) : pattern === url;
+
+  return exclude.some(pattern => {
+    if (
+      typeof pattern === 'string' ||
+      pattern instanceof RegExp
+    ) {
+      return matchUrl(pattern);
+    }
+
+    if (
+      pattern.url !== undefined &&
+      !matchUrl(pattern.url)
+    ) {
+      return false;
+    }
+
+    if (pattern.method !== undefined) {
+      const excludedMethods = [].concat(pattern.method).map(method => method.toUpperCase());
+
+      return methods.every(method => excludedMethods.includes(method));
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Normalizes a value returned by the Store.
+ * @param {Object|Integer} result
+ * @param {Integer} per Time window (seconds)
+ * @returns {Object}
+ *   @property {Integer} current
+ *   @property {Integer} ttl Milliseconds
+ *   @property {Integer} [retryAfter] Milliseconds
+ * @private
+ *
+ * * Custom stores written for the previous store contract resolve to
+ * * a plain number. In that case the whole time window is reported
+ * * as the time left until reset.
+ */
+function normalizeStoreResult (result, per) {
+  if (typeof result === 'number') {
+    return {
+      current: result,
+      ttl: per * 1000
+    }
+  }
+
+  return {
+    current: result.current,
+    ttl: typeof result.ttl === 'number' ? result.ttl : per * 1000,
+    retryAfter: typeof result.retryAfter === 'number' ? result.retryAfter : undefined
+  }
+}
+
+// Plugin.
+module.exports = fp(properLimiterPlugin, {
+  fastify: '>=3',
   name: 'fastify-proper-limiter'
 });
 
 // Stores.
 module.exports.LocalStore = LocalStore;
 module.exports.RedisStore = RedisStore;
+module.exports.SqliteStore = SqliteStore;
+module.exports.ResilientStore = ResilientStore;
+
+// Admin routes.
+module.exports.admin = admin;
@@ -1,67 +1,267 @@
 'use strict'
 
-class LocalStore {
+/**
+ * Module dependencies.
+ * @private
+ */
+const EventEmitter = require('events');
+const fs = require('fs');
+const util = require('util');
+
+/**
+ * Local constants.
+ * @private
+ */
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_SWEEP_INTERVAL = 60;
+const MIN_SWEEP_DELAY = 1000;
+const writeFile = util.promisify(fs.writeFile);
+const rename = util.promisify(fs.rename);
+
+/**
+ * In-memory store. Entries expire by their time-to-live: expired entries
+ * are dropped when they are read and by a periodic sweep. If the store is
+ * full, expired entries are dropped first, then the least recently used one.
+ *
+ * Events:
+ *
+ * * "evict" (key) - an entry that was not expired yet was dropped because
+ * *                 the store is full, i.e. its limit was reset early
+ */
+class LocalStore extends EventEmitter {
   /**
    * Constructor.
-   * @param {Integer} [max=5000] Cache maximum size
+   * @param {Integer} [max=5000] Maximum number of entries
+   * @param {Object} [options]
+   *   @property {String} [snapshot] Path to a snapshot file. Entries are restored
+   *                                 from it on startup and saved to it on close
+   *   @property {Integer} [sweepInterval=60] Interval of expired entries sweep (seconds),
+   *                                          `0` disables periodic sweep
    */
-  constructor (max = 5000) {
+  constructor (max = 5000, { snapshot = null, sweepInterval = DEFAULT_SWEEP_INTERVAL } = {}) {
+    super();
+
     this._max = max;
 
     /**
-     * Current size of cache.
+     * Path to a snapshot file.
+     * @type {String}
+     */
+    this._snapshot = snapshot;
+
+    /**
+     * Entries, from the least to the most recently used.
+     * @type {Map<String, Object>}
+     */
+    this._entries = new Map();
+
+    /**
+     * Time of the last sweep (milliseconds).
+     * @type {Integer}
+     */
+    this._sweptAt = 0;
+
+    /**
+     * Number of entries that were dropped before they expired.
      * @type {Integer}
      */
-    this._size = 0;
+    this.evictions = 0;
 
     /**
-     * Cache.
-     * @type {Map}
+     * Sweep timer.
+     * @type {Timeout}
      */
-    this._cache = new Map();
-    this._oldCache = new Map();
+    this._sweepTimer = null;
+
+    if (sweepInterval > 0) {
+      this._sweepTimer = setInterval(() => this.sweep(), sweepInterval * 1000);
+
+      // Sweep should not keep the process alive.
+      this._sweepTimer.unref();
+    }
+
+    if (this._snapshot) {
+      this._restore();
+    }
+  }
+
+  /**
+   * Number of entries (including expired ones that are not swept yet).
+   * @type {Integer}
+   */
+  get size () {
+    return this._entries.size;
+  }
+
+  /**
+   * Restores entries from the snapshot file.
+   * @returns {void}
+   *
+   * * Expired entries and concurrency leases are discarded. Missing or
+   * * corrupt snapshot file is ignored, so the store starts empty.
+   */
+  _restore () {
+    let entries;
+
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(this._snapshot, 'utf8'));
+
+      if (
+        snapshot.version !== SNAPSHOT_VERSION ||
+        !Array.isArray(snapshot.entries)
+      ) {
+        return;
+      }
+
+      entries = snapshot.entries;
+    } catch (err) {
+      return;
+    }
+
+    let now = Date.now();
+
+    for (const entry of entries) {
+      if (
+        Array.isArray(entry) &&
+        typeof entry[0] === 'string' &&
+        entry[1] &&
+        entry[1].expiresAt > now &&
+        !entry[1].leases
+      ) {
+        this._set(entry[0], entry[1]);
+      }
+    }
+  }
+
+  /**
+   * Saves entries that are not expired yet to the snapshot file.
+   * @returns {void}
+   *
+   * * Concurrency leases are not saved: requests that hold them do not
+   * * survive a restart, so restored leases would only block slots.
+   */
+  async saveSnapshot () {
+    let now = Date.now();
+    let entries = [];
+
+    // Least recently used entries go first, so they are evicted first on restore.
+    for (const [key, value] of this._entries) {
+      if (
+        value.expiresAt > now &&
+        !value.leases
+      ) {
+        entries.push([key, value]);
+      }
+    }
+
+    let data = JSON.stringify({ version: SNAPSHOT_VERSION, entries });
+    let tmp = `${this._snapshot}.${process.pid}.tmp`;
+
+    // Snapshot is written to a temporary file first, so a crash
+    // does not leave a half-written snapshot behind.
+    await writeFile(tmp, data);
+    await rename(tmp, this._snapshot);
+  }
+
+  /**
+   * Closes the store (called on fastify close). Stops periodic sweep
+   * and saves the snapshot if enabled.
+   * @returns {void}
+   */
+  async close () {
+    clearInterval(this._sweepTimer);
+    this._sweepTimer = null;
+
+    if (this._snapshot) {
+      await this.saveSnapshot();
+    }
+  }
+
+  /**
+   * Removes expired entries.
+   * @returns {Integer} Number of removed entries
+   */
+  sweep () {
+    let now = Date.now();
+    let count = 0;
+
+    for (const [key, value] of this._entries) {
+      if (isExpired(value, now)) {
+        this._entries.delete(key);
+        count++;
+      }
+    }
+
+    this._sweptAt = now;
+
+    return count;
   }
 
   /**
-   * Returns an item from a cache.
+   * Returns an entry, unless it is expired.
    * @param {String} key
    * @returns {Any}
    */
   _get (key) {
-    if (this._cache.has(key)) {
-      return this._cache.get(key);
-    }
+    const value = this._entries.get(key);
 
-    if (this._oldCache.has(key)) {
-      const value = this._oldCache.get(key);
+    if (value === undefined) {
+      return;
+    }
 
-      this._oldCache.delete(key);
-      this._set(key, value);
+    if (isExpired(value, Date.now())) {
+      this._entries.delete(key);
 
-      return value;
+      return;
     }
+
+    // Mark the entry as the most recently used one.
+    this._entries.delete(key);
+    this._entries.set(key, value);
+
+    return value;
   }
 
   /**
-   * Puts an item into a cache.
+   * Puts an entry, making room for it if the store is full.
    * @param {String} key
    * @param {Any} value
    * @returns {void}
    */
   _set (key, value) {
-    if (this._cache.has(key)) {
-      this._cache.set(key, value);
+    if (this._entries.has(key)) {
+      this._entries.delete(key);
+    } else if (this._entries.size >= this._max) {
+      this._evict();
+    }
+
+    this._entries.set(key, value);
+  }
 
+  /**
+   * Makes room for a new entry: expired entries are swept (at most once
+   * in `MIN_SWEEP_DELAY`, so a flood of new keys does not sweep on every
+   * request), then the least recently used entry is dropped.
+   * @returns {void}
+   * @private
+   */
+  _evict () {
+    let now = Date.now();
+
+    if (
+      now - this._sweptAt >= MIN_SWEEP_DELAY &&
+      this.sweep() > 0
+    ) {
       return;
     }
 
-    this._cache.set(key, value);
-    this._size++;
+    const [key, value] = this._entries.entries().next().value;
 
-    if (this._size >= this._max) {
-      this._size = 0;
-      this._oldCache = this._cache;
-      this._cache = new Map();
+    this._entries.delete(key);
+
+    if (!isExpired(value, now)) {
+      this.evictions++;
+      this.emit('evict', key);
     }
   }
 
@@ -69,9 +269,12 @@ class LocalStore {
    * Increments value by key.
    * @param {String} key Key to increment
    * @param {Integer} ttl Key time-to-live (seconds)
-   * @returns {Integer} Current value
+   * @param {Integer} [amount=1] Increment
+   * @returns {Object}
+   *   @property {Integer} current Current value
+   *   @property {Integer} ttl Time left until the key expires (milliseconds)
    */
-  async increment (key, ttl) {
+  async increment (key, ttl, amount = 1) {
     let counter = this._get(key);
     let now = Date.now();
 
@@ -80,17 +283,443 @@ class LocalStore {
       (now - counter.createdAt) >= ttl * 1000
     ) {
       counter = {
-        value: 1,
-        createdAt: now
+        value: amount,
+        createdAt: now,
+        expiresAt: now + ttl * 1000
       }
 
       this._set(key, counter);
     } else {
-      counter.value += 1;
+      counter.value += amount;
+    }
+
+    return {
+      current: counter.value,
+      ttl: counter.createdAt + ttl * 1000 - now
+    }
+  }
+
+  /**
+   * Decrements value by key.
+   * @param {String} key Key to decrement
+   * @param {Integer} [amount=1] Decrement
+   * @returns {Integer} Current value
+   *
+   * * Value never goes below zero, and missing (or expired) keys
+   * * are not created.
+   */
+  async decrement (key, amount = 1) {
+    let counter = this._get(key);
+
+    if (!counter) {
+      return 0;
     }
 
+    counter.value = Math.max(0, counter.value - amount);
+
     return counter.value;
   }
+
+  /**
+   * Logs a request in the sliding window log by key.
+   * @param {String} key Log key
+   * @param {Integer} ttl Time window (seconds)
+   * @param {Integer} max Maximum number of requests in the time window
+   * @param {Integer} [amount=1] Number of requests to log
+   * @returns {Object}
+   *   @property {Integer} current Current request number in the time window
+   *   @property {Integer} ttl Time left until the oldest request leaves the time window (milliseconds)
+   *
+   * * Timestamps are kept in a ring buffer of `max` size. Rejected
+   * * requests (beyond `max`) are not logged.
+   */
+  async slidingLog (key, ttl, max, amount = 1) {
+    let log = this._get(key);
+    let now = Date.now();
+    let window = ttl * 1000;
+
+    // Request numbers are integers, so a fractional "max" allows as many
+    // requests as its integer part.
+    let capacity = Math.floor(max);
+
+    if (!log) {
+      log = {
+        timestamps: new Array(capacity),
+        start: 0,
+        size: 0,
+        expiresAt: now + window
+      }
+
+      this._set(key, log);
+    } else if (log.timestamps.length !== capacity) {
+      // "max" has changed (dynamic "max"), so the buffer should be resized
+      // keeping the most recent timestamps.
+      const timestamps = new Array(capacity);
+      const size = Math.min(log.size, capacity);
+
+      for (let i = 0; i < size; i++) {
+        timestamps[i] = log.timestamps[(log.start + log.size - size + i) % log.timestamps.length];
+      }
+
+      log.timestamps = timestamps;
+      log.start = 0;
+      log.size = size;
+    }
+
+    // Drop timestamps that left the time window.
+    while (
+      log.size > 0 &&
+      (now - log.timestamps[log.start]) >= window
+    ) {
+      log.start = (log.start + 1) % log.timestamps.length;
+      log.size--;
+    }
+
+    let current = log.size + amount;
+
+    if (current <= max) {
+      for (let i = 0; i < amount; i++) {
+        log.timestamps[(log.start + log.size) % log.timestamps.length] = now;
+        log.size++;
+      }
+
+      log.expiresAt = now + window;
+    }
+
+    return {
+      current,
+      ttl: log.size > 0 ? log.timestamps[log.start] + window - now : window
+    }
+  }
+
+  /**
+   * Counts a request in the sliding window counter by key.
+   * @param {String} key Counter key
+   * @param {Integer} ttl Time window (seconds)
+   * @param {Integer} max Maximum number of requests in the time window
+   * @param {Integer} [amount=1] Increment
+   * @returns {Object}
+   *   @property {Integer} current Estimated request number in the time window
+   *   @property {Integer} ttl Time left until the current fixed window ends (milliseconds)
+   *
+   * * Rejected requests (beyond `max`) are not counted.
+   */
+  async slidingWindow (key, ttl, max, amount = 1) {
+    let counter = this._get(key);
+    let now = Date.now();
+    let window = ttl * 1000;
+    let elapsed = now % window;
+    let index = (now - elapsed) / window;
+
+    if (!counter) {
+      counter = {
+        index,
+        current: 0,
+        previous: 0
+      }
+
+      this._set(key, counter);
+    } else if (counter.index !== index) {
+      counter.previous = counter.index === index - 1 ? counter.current : 0;
+      counter.current = 0;
+      counter.index = index;
+    }
+
+    // The counter is still needed as the previous window.
+    counter.expiresAt = (index + 2) * window;
+
+    let current = Math.floor(counter.previous * (window - elapsed) / window) + counter.current + amount;
+
+    if (current <= max) {
+      counter.current += amount;
+    }
+
+    return {
+      current,
+      ttl: window - elapsed
+    }
+  }
+
+  /**
+   * Takes a token from the token bucket by key.
+   * @param {String} key Bucket key
+   * @param {Integer} capacity Bucket size
+   * @param {Number} refillRate Number of tokens added per second
+   * @param {Integer} [amount=1] Number of tokens to take
+   * @returns {Object}
+   *   @property {Integer} current Number of tokens taken from the bucket, including
+   *                               this request (greater than `capacity` if there are not enough tokens)
+   *   @property {Integer} ttl Time left until the next token is added (milliseconds)
+   *   @property {Integer} [retryAfter] Time left until there are enough tokens (milliseconds),
+   *                                    only if a request is rejected
+   */
+  async tokenBucket (key, capacity, refillRate, amount = 1) {
+    let bucket = this._get(key);
+    let now = Date.now();
+
+    if (!bucket) {
+      bucket = {
+        tokens: capacity,
+        updatedAt: now
+      }
+
+      this._set(key, bucket);
+    } else {
+      bucket.tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillRate / 1000);
+      bucket.updatedAt = now;
+    }
+
+    let current = capacity - Math.floor(bucket.tokens) + amount;
+
+    if (bucket.tokens < amount) {
+      bucket.expiresAt = now + Math.ceil((capacity - bucket.tokens) * 1000 / refillRate);
+
+      return {
+        current,
+        ttl: Math.ceil((1 - bucket.tokens % 1) * 1000 / refillRate),
+        retryAfter: Math.ceil((amount - bucket.tokens) * 1000 / refillRate)
+      }
+    }
+
+    bucket.tokens -= amount;
+
+    // Bucket is full again, so the state is not needed anymore.
+    bucket.expiresAt = now + Math.ceil((capacity - bucket.tokens) * 1000 / refillRate);
+
+    return {
+      current,
+      ttl: bucket.tokens < capacity ? Math.ceil((1 - bucket.tokens % 1) * 1000 / refillRate) : 0
+    }
+  }
+
+  /**
+   * Checks a request against the Generic Cell Rate Algorithm by key.
+   * @param {String} key Key
+   * @param {Integer} ttl Time window (seconds)
+   * @param {Integer} max Maximum number of requests in the time window
+   * @param {Integer} [amount=1] Number of requests
+   * @returns {Object}
+   *   @property {Integer} current Current request number in the time window
+   *   @property {Integer} ttl Time left until the limit fully resets (milliseconds)
+   *   @property {Integer} [retryAfter] Time left until a request is allowed (milliseconds),
+   *                                    only if a request is rejected
+   *
+   * * Only the "theoretical arrival time" is stored. Rejected requests
+   * * are not counted.
+   */
+  async gcra (key, ttl, max, amount = 1) {
+    let state = this._get(key);
+    let now = Date.now();
+    let interval = ttl * 1000 / max;
+    let tolerance = interval * max;
+
+    if (!state) {
+      state = {
+        tat: now,
+        expiresAt: now
+      }
+
+      this._set(key, state);
+    }
+
+    let tat = Math.max(state.tat, now);
+    let current = max - Math.floor((now - tat + tolerance) / interval) + amount;
+    let allowAt = tat + interval * amount - tolerance;
+
+    if (now < allowAt) {
+      return {
+        current,
+        ttl: tat - now,
+        retryAfter: allowAt - now
+      }
+    }
+
+    state.tat = tat + interval * amount;
+    state.expiresAt = state.tat;
+
+    return {
+      current,
+      ttl: state.tat - now
+    }
+  }
+
+  /**
+   * Acquires a concurrency lease by key.
+   * @param {String} key Key of the leases
+   * @param {Integer} ttl Lease time-to-live (seconds)
+   * @param {Integer} max Maximum number of simultaneous leases
+   * @param {String} id Lease id
+   * @returns {Object}
+   *   @property {Integer} current Current number of leases, including the requested one
+   *   @property {Integer} ttl Time left until the oldest lease expires (milliseconds)
+   *
+   * * Lease is not acquired if `current` is greater than `max`.
+   */
+  async acquire (key, ttl, max, id) {
+    let state = this._get(key);
+    let now = Date.now();
+
+    if (!state) {
+      state = {
+        leases: new Map()
+      }
+
+      this._set(key, state);
+    }
+
+    for (const [lease, expiresAt] of state.leases) {
+      if (expiresAt <= now) {
+        state.leases.delete(lease);
+      }
+    }
+
+    let current = state.leases.size + 1;
+
+    if (current <= max) {
+      state.leases.set(id, now + ttl * 1000);
+    }
+
+    let oldest = Math.min(...state.leases.values());
+
+    state.expiresAt = Math.max(now, ...state.leases.values());
+
+    return {
+      current,
+      ttl: state.leases.size > 0 ? oldest - now : ttl * 1000
+    }
+  }
+
+  /**
+   * Releases a concurrency lease by key.
+   * @param {String} key Key of the leases
+   * @param {String} id Lease id
+   * @returns {void}
+   */
+  async release (key, id) {
+    let state = this._get(key);
+
+    if (state) {
+      state.leases.delete(id);
+    }
+  }
+
+  /**
+   * Bans a key.
+   * @param {String} key Ban key
+   * @param {Integer} ttl Ban duration (seconds)
+   * @returns {void}
+   */
+  async ban (key, ttl) {
+    this._set(key, {
+      expiresAt: Date.now() + ttl * 1000
+    });
+  }
+
+  /**
+   * Returns time left until a ban by key expires.
+   * @param {String} key Ban key
+   * @returns {Integer} Time left (milliseconds) or `0` if there is no ban
+   */
+  async getBan (key) {
+    let ban = this._get(key);
+
+    if (!ban) {
+      return 0;
+    }
+
+    return Math.max(0, ban.expiresAt - Date.now());
+  }
+
+  /**
+   * Returns a value by key.
+   * @param {String} key
+   * @returns {Object|null} `null` if there is no such key
+   *   @property {Integer|Object} value Counter value or a state of other algorithms
+   *   @property {Integer} ttl Time left until the key expires (milliseconds)
+   */
+  async get (key) {
+    let state = this._get(key);
+
+    if (!state) {
+      return null;
+    }
+
+    let value = state.value;
+
+    if (typeof value !== 'number') {
+      value = Object.assign({}, state);
+      delete value.expiresAt;
+    }
+
+    return {
+      value,
+      ttl: state.expiresAt - Date.now()
+    }
+  }
+
+  /**
+   * Returns keys starting with a prefix.
+   * @param {String} prefix
+   * @param {Integer} [limit=Infinity] Max. number of keys
+   * @returns {Array<String>}
+   */
+  async keys (prefix, limit = Infinity) {
+    let now = Date.now();
+    let keys = [];
+
+    for (const [key, value] of this._entries) {
+      if (keys.length >= limit) {
+        break;
+      }
+
+      if (
+        key.startsWith(prefix) &&
+        !isExpired(value, now)
+      ) {
+        keys.push(key);
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * Deletes a key.
+   * @param {String} key
+   * @returns {Boolean} Whether the key existed
+   */
+  async reset (key) {
+    return this._entries.delete(key);
+  }
+
+  /**
+   * Deletes all keys starting with a prefix.
+   * @param {String} prefix
+   * @returns {Integer} Number of deleted keys
+   */
+  async resetAll (prefix) {
+    let count = 0;
+
+    for (const key of [...this._entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this._entries.delete(key);
+        count++;
+      }
+    }
+
+    return count;
+  }
+}
+
+/**
+ * Checks whether an entry is expired. Entries without `expiresAt` never expire.
+ * @param {Object} value
+ * @param {Integer} now
+ * @returns {Boolean}
+ * @private
+ */
+function isExpired (value, now) {
+  return typeof value.expiresAt === 'number' && value.expiresAt <= now;
 }
 
 module.exports = LocalStore;
@@ -4,60 +4,347 @@
  * Module dependencies.
  * @private
  */
+const crypto = require('crypto');
 const { awaitTo: to } = require('../util');
+const { createRedisAdapter, runScript } = require('./redisAdapters');
 
 /**
  * Local constants.
  * @private
  */
 const REDIS_CMD_NAME = 'increxpr';
+const REDIS_DECREMENT_CMD_NAME = 'decrnonneg';
+const REDIS_SLIDING_LOG_CMD_NAME = 'slidinglog';
+const REDIS_SLIDING_WINDOW_CMD_NAME = 'slidingwindow';
+const REDIS_TOKEN_BUCKET_CMD_NAME = 'tokenbucket';
+const REDIS_GCRA_CMD_NAME = 'gcra';
+const REDIS_ACQUIRE_CMD_NAME = 'acquirelease';
+const REDIS_GET_CMD_NAME = 'getkey';
 
-class RedisStore {
-  /**
-   * Constructor.
-   * @param {ioredis} redis ioredis instance
-   */
-  constructor (redis) {
-    if (!redis) {
-      throw new Error('`redis` must be an instance of "ioredis".');
-    }
+/**
+ * Lua scripts (by name).
+ * @type {Object}
+ * @private
+ */
+const REDIS_COMMANDS = {
+  // Atomic increment (by ARGV[2]) and expire. Time-to-live is set in
+  // milliseconds, so fractional time windows are supported.
+  [REDIS_CMD_NAME]: `
+    local current = redis.call('incrby', KEYS[1], ARGV[2])
+    local ttl = redis.call('pttl', KEYS[1])
 
-    // Define lua script for atomic increment and expire.
-    if (!redis[REDIS_CMD_NAME]) {
-      redis.defineCommand(
-        REDIS_CMD_NAME,
+    if ttl < 0 then
+      ttl = math.ceil(tonumber(ARGV[1]) * 1000)
+      redis.call('pexpire', KEYS[1], ttl)
+    end
 
-        {
-          numberOfKeys: 1,
+    return { current, ttl }
+  `,
 
-          lua: `
-            local current = redis.call('incr', KEYS[1])
+  // Decrement (by ARGV[1]) that keeps the value non-negative
+  // and does not create missing keys. TTL is preserved.
+  [REDIS_DECREMENT_CMD_NAME]: `
+    if redis.call('exists', KEYS[1]) == 0 then
+      return 0
+    end
 
-            if tonumber(current) == 1 then
-              redis.call('expire', KEYS[1], ARGV[1])
-            end
+    local current = redis.call('decrby', KEYS[1], ARGV[1])
 
-            return current
-          `
-        }
-      );
-    }
+    if current < 0 then
+      current = redis.call('incrby', KEYS[1], -current)
+    end
+
+    return current
+  `,
+
+  // Sliding window log in a sorted set (member: request id, score: timestamp).
+  // Redis server time is used, so all instances share the same clock.
+  [REDIS_SLIDING_LOG_CMD_NAME]: `
+    if redis.replicate_commands then
+      redis.replicate_commands()
+    end
+
+    local window = math.ceil(tonumber(ARGV[1]) * 1000)
+    local max = tonumber(ARGV[2])
+    local time = redis.call('time')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+    redis.call('zremrangebyscore', KEYS[1], '-inf', now - window)
+
+    local amount = tonumber(ARGV[4])
+    local current = redis.call('zcard', KEYS[1]) + amount
+
+    if current <= max then
+      for i = 1, amount do
+        redis.call('zadd', KEYS[1], now, ARGV[3] .. ':' .. i)
+      end
+
+      redis.call('pexpire', KEYS[1], window)
+    end
+
+    local oldest = redis.call('zrange', KEYS[1], 0, 0, 'withscores')
+    local ttl = window
+
+    if oldest[2] then
+      ttl = tonumber(oldest[2]) + window - now
+    end
+
+    return { current, ttl }
+  `,
+
+  // Sliding window counter in a hash (w: current window index,
+  // c: current window counter, p: previous window counter).
+  [REDIS_SLIDING_WINDOW_CMD_NAME]: `
+    if redis.replicate_commands then
+      redis.replicate_commands()
+    end
+
+    local window = math.ceil(tonumber(ARGV[1]) * 1000)
+    local max = tonumber(ARGV[2])
+    local time = redis.call('time')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+    local elapsed = now % window
+    local index = (now - elapsed) / window
+
+    local state = redis.call('hmget', KEYS[1], 'w', 'c', 'p')
+    local stored = tonumber(state[1])
+    local counter = tonumber(state[2]) or 0
+    local previous = tonumber(state[3]) or 0
+
+    if stored ~= index then
+      if stored == index - 1 then
+        previous = counter
+      else
+        previous = 0
+      end
+
+      counter = 0
+    end
+
+    local amount = tonumber(ARGV[3])
+    local current = math.floor(previous * (window - elapsed) / window) + counter + amount
+
+    if current <= max then
+      counter = counter + amount
+    end
+
+    redis.call('hmset', KEYS[1], 'w', index, 'c', counter, 'p', previous)
+    redis.call('pexpire', KEYS[1], window * 2)
+
+    return { current, window - elapsed }
+  `,
+
+  // Token bucket in a hash (t: tokens left, u: last update timestamp).
+  [REDIS_TOKEN_BUCKET_CMD_NAME]: `
+    if redis.replicate_commands then
+      redis.replicate_commands()
+    end
+
+    local capacity = tonumber(ARGV[1])
+    local rate = tonumber(ARGV[2])
+    local time = redis.call('time')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+    local state = redis.call('hmget', KEYS[1], 't', 'u')
+    local tokens = tonumber(state[1])
+
+    if tokens == nil then
+      tokens = capacity
+    else
+      tokens = math.min(capacity, tokens + math.max(0, now - tonumber(state[2])) * rate / 1000)
+    end
+
+    local amount = tonumber(ARGV[3])
+    local current = capacity - math.floor(tokens) + amount
+
+    if tokens < amount then
+      return { current, math.ceil((1 - tokens % 1) * 1000 / rate), math.ceil((amount - tokens) * 1000 / rate) }
+    end
+
+    tokens = tokens - amount
+
+    local ttl = 0
+
+    if tokens < capacity then
+      ttl = math.ceil((1 - tokens % 1) * 1000 / rate)
+    end
+
+    redis.call('hmset', KEYS[1], 't', tostring(tokens), 'u', now)
+    redis.call('pexpire', KEYS[1], math.ceil((capacity - tokens) * 1000 / rate) + 1000)
+
+    return { current, ttl }
+  `,
+
+  // Generic Cell Rate Algorithm, the key holds "theoretical arrival time".
+  [REDIS_GCRA_CMD_NAME]: `
+    if redis.replicate_commands then
+      redis.replicate_commands()
+    end
+
+    local max = tonumber(ARGV[2])
+    local interval = tonumber(ARGV[1]) * 1000 / max
+    local tolerance = interval * max
+    local time = redis.call('time')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+    local tat = tonumber(redis.call('get', KEYS[1])) or now
+
+    if tat < now then
+      tat = now
+    end
+
+    local amount = tonumber(ARGV[3])
+    local current = max - math.floor((now - tat + tolerance) / interval) + amount
+    local allow_at = tat + interval * amount - tolerance
+
+    if now < allow_at then
+      return { current, math.ceil(tat - now), math.ceil(allow_at - now) }
+    end
+
+    tat = tat + interval * amount
+
+    redis.call('set', KEYS[1], tostring(tat), 'PX', math.ceil(tat - now))
+
+    return { current, math.ceil(tat - now) }
+  `,
+
+  // Concurrency leases in a sorted set (member: lease id, score: expiration time).
+  // Expired leases (e.g. of crashed instances) are removed before counting.
+  [REDIS_ACQUIRE_CMD_NAME]: `
+    if redis.replicate_commands then
+      redis.replicate_commands()
+    end
+
+    local ttl = math.ceil(tonumber(ARGV[1]) * 1000)
+    local max = tonumber(ARGV[2])
+    local time = redis.call('time')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+    redis.call('zremrangebyscore', KEYS[1], '-inf', now)
+
+    local current = redis.call('zcard', KEYS[1]) + 1
+
+    if current <= max then
+      redis.call('zadd', KEYS[1], now + ttl, ARGV[3])
+
+      if redis.call('pttl', KEYS[1]) < ttl then
+        redis.call('pexpire', KEYS[1], ttl)
+      end
+    end
 
+    local oldest = redis.call('zrange', KEYS[1], 0, 0, 'withscores')
+    local reset = ttl
+
+    if oldest[2] then
+      reset = tonumber(oldest[2]) - now
+    end
+
+    return { current, reset }
+  `,
+
+  // Returns type, value and time-to-live of a key, so it can be read
+  // regardless of the algorithm that wrote it.
+  [REDIS_GET_CMD_NAME]: `
+    local ttl = redis.call('pttl', KEYS[1])
+
+    if ttl == -2 then
+      return false
+    end
+
+    local kind = redis.call('type', KEYS[1])
+    local value
+
+    if type(kind) == 'table' then
+      kind = kind.ok
+    end
+
+    if kind == 'string' then
+      value = redis.call('get', KEYS[1])
+    elseif kind == 'hash' then
+      value = redis.call('hgetall', KEYS[1])
+    elseif kind == 'zset' then
+      value = redis.call('zcard', KEYS[1])
+    else
+      return false
+    end
+
+    return { kind, value, ttl }
+  `
+};
+
+/**
+ * Lua scripts with their SHA1 digests, so they can be run with EVALSHA.
+ * @type {Object}
+ * @private
+ */
+const REDIS_SCRIPTS = {};
+
+for (const name of Object.keys(REDIS_COMMANDS)) {
+  REDIS_SCRIPTS[name] = {
+    lua: REDIS_COMMANDS[name],
+    sha: crypto.createHash('sha1').update(REDIS_COMMANDS[name]).digest('hex')
+  }
+}
+
+class RedisStore {
+  /**
+   * Constructor.
+   * @param {ioredis|ioredis.Cluster|RedisClient} redis ioredis (standalone or Cluster)
+   *                                                    or node-redis (v4) client
+   */
+  constructor (redis) {
     /**
-     * Redis Client (ioredis).
-     * @type {ioredis.Client}
+     * Redis Client adapter.
+     * @type {IoredisAdapter|NodeRedisAdapter}
      */
-    this._redis = redis;
+    this._redis = createRedisAdapter(redis);
+  }
+
+  /**
+   * Runs a Lua script by name.
+   * @param {String} name Script name
+   * @param {String} key
+   * @param {Array<Any>} args
+   * @returns {Any}
+   * @private
+   */
+  _run (name, key, args) {
+    return runScript(this._redis, REDIS_SCRIPTS[name], [key], args);
   }
 
   /**
    * Increments value by key.
    * @param {String} key Key to increment
    * @param {Integer} ttl Key time-to-live (seconds)
+   * @param {Integer} [amount=1] Increment
+   * @returns {Object}
+   *   @property {Integer} current Current value
+   *   @property {Integer} ttl Time left until the key expires (milliseconds)
+   */
+  async increment (key, ttl, amount = 1) {
+    let [err, result] = await to(this._run(REDIS_CMD_NAME, key, [ttl, amount]));
+
+    if (err) {
+      throw err;
+    }
+
+    return {
+      current: result[0],
+      ttl: result[1]
+    }
+  }
+
+  /**
+   * Decrements value by key.
+   * @param {String} key Key to decrement
+   * @param {Integer} [amount=1] Decrement
    * @returns {Integer} Current value
+   *
+   * * Value never goes below zero, and missing (or expired) keys
+   * * are not created.
    */
-  async increment (key, ttl) {
-    let [err, current] = await to(this._redis[REDIS_CMD_NAME](key, ttl));
+  async decrement (key, amount = 1) {
+    let [err, current] = await to(this._run(REDIS_DECREMENT_CMD_NAME, key, [amount]));
 
     if (err) {
       throw err;
@@ -65,7 +352,294 @@ class RedisStore {
 
     return current;
   }
+
+  /**
+   * Logs a request in the sliding window log by key.
+   * @param {String} key Log key
+   * @param {Integer} ttl Time window (seconds)
+   * @param {Integer} max Maximum number of requests in the time window
+   * @param {Integer} [amount=1] Number of requests to log
+   * @returns {Object}
+   *   @property {Integer} current Current request number in the time window
+   *   @property {Integer} ttl Time left until the oldest request leaves the time window (milliseconds)
+   */
+  async slidingLog (key, ttl, max, amount = 1) {
+    let [err, result] = await to(
+      this._run(REDIS_SLIDING_LOG_CMD_NAME, key, [ttl, max, crypto.randomBytes(8).toString('hex'), amount])
+    );
+
+    if (err) {
+      throw err;
+    }
+
+    return {
+      current: result[0],
+      ttl: result[1]
+    }
+  }
+
+  /**
+   * Counts a request in the sliding window counter by key.
+   * @param {String} key Counter key
+   * @param {Integer} ttl Time window (seconds)
+   * @param {Integer} max Maximum number of requests in the time window
+   * @param {Integer} [amount=1] Increment
+   * @returns {Object}
+   *   @property {Integer} current Estimated request number in the time window
+   *   @property {Integer} ttl Time left until the current fixed window ends (milliseconds)
+   */
+  async slidingWindow (key, ttl, max, amount = 1) {
+    let [err, result] = await to(this._run(REDIS_SLIDING_WINDOW_CMD_NAME, key, [ttl, max, amount]));
+
+    if (err) {
+      throw err;
+    }
+
+    return {
+      current: result[0],
+      ttl: result[1]
+    }
+  }
+
+  /**
+   * Takes a token from the token bucket by key.
+   * @param {String} key Bucket key
+   * @param {Integer} capacity Bucket size
+   * @param {Number} refillRate Number of tokens added per second
+   * @param {Integer} [amount=1] Number of tokens to take
+   * @returns {Object}
+   *   @property {Integer} current Number of tokens taken from the bucket, including
+   *                               this request (greater than `capacity` if there are not enough tokens)
+   *   @property {Integer} ttl Time left until the next token is added (milliseconds)
+   *   @property {Integer} [retryAfter] Time left until there are enough tokens (milliseconds),
+   *                                    only if a request is rejected
+   */
+  async tokenBucket (key, capacity, refillRate, amount = 1) {
+    let [err, result] = await to(this._run(REDIS_TOKEN_BUCKET_CMD_NAME, key, [capacity, refillRate, amount]));
+
+    if (err) {
+      throw err;
+    }
+
+    return {
+      current: result[0],
+      ttl: result[1],
+      retryAfter: result[2]
+    }
+  }
+
+  /**
+   * Checks a request against the Generic Cell Rate Algorithm by key.
+   * @param {String} key Key
+   * @param {Integer} ttl Time window (seconds)
+   * @param {Integer} max Maximum number of requests in the time window
+   * @param {Integer} [amount=1] Number of requests
+   * @returns {Object}
+   *   @property {Integer} current Current request number in the time window
+   *   @property {Integer} ttl Time left until the limit fully resets (milliseconds)
+   *   @property {Integer} [retryAfter] Time left until a request is allowed (milliseconds),
+   *                                    only if a request is rejected
+   */
+  async gcra (key, ttl, max, amount = 1) {
+    let [err, result] = await to(this._run(REDIS_GCRA_CMD_NAME, key, [ttl, max, amount]));
+
+    if (err) {
+      throw err;
+    }
+
+    return {
+      current: result[0],
+      ttl: result[1],
+      retryAfter: result[2]
+    }
+  }
+
+  /**
+   * Acquires a concurrency lease by key.
+   * @param {String} key Key of the leases
+   * @param {Integer} ttl Lease time-to-live (seconds)
+   * @param {Integer} max Maximum number of simultaneous leases
+   * @param {String} id Lease id
+   * @returns {Object}
+   *   @property {Integer} current Current number of leases, including the requested one
+   *   @property {Integer} ttl Time left until the oldest lease expires (milliseconds)
+   *
+   * * Lease is not acquired if `current` is greater than `max`. Leases
+   * * expire after `ttl`, so crashed instances do not hold them forever.
+   */
+  async acquire (key, ttl, max, id) {
+    let [err, result] = await to(this._run(REDIS_ACQUIRE_CMD_NAME, key, [ttl, max, id]));
+
+    if (err) {
+      throw err;
+    }
+
+    return {
+      current: result[0],
+      ttl: result[1]
+    }
+  }
+
+  /**
+   * Releases a concurrency lease by key.
+   * @param {String} key Key of the leases
+   * @param {String} id Lease id
+   * @returns {void}
+   */
+  async release (key, id) {
+    let [err] = await to(this._redis.call('zrem', [key, id]));
+
+    if (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Bans a key.
+   * @param {String} key Ban key
+   * @param {Integer} ttl Ban duration (seconds)
+   * @returns {void}
+   */
+  async ban (key, ttl) {
+    let [err] = await to(this._redis.call('set', [key, '1', 'PX', Math.ceil(ttl * 1000)]));
+
+    if (err) {
+      throw err;
+    }
+  }
+
+  /**
+   * Returns time left until a ban by key expires.
+   * @param {String} key Ban key
+   * @returns {Integer} Time left (milliseconds) or `0` if there is no ban
+   */
+  async getBan (key) {
+    let [err, ttl] = await to(this._redis.call('pttl', [key]));
+
+    if (err) {
+      throw err;
+    }
+
+    return Math.max(0, ttl);
+  }
+
+  /**
+   * Returns a value by key.
+   * @param {String} key
+   * @returns {Object|null} `null` if there is no such key
+   *   @property {Integer|Object} value Counter value, number of entries of
+   *                                    sliding log and concurrency leases,
+   *                                    or a state of other algorithms
+   *   @property {Integer} ttl Time left until the key expires (milliseconds),
+   *                           `-1` if the key does not expire
+   */
+  async get (key) {
+    let [err, result] = await to(this._run(REDIS_GET_CMD_NAME, key, []));
+
+    if (err) {
+      throw err;
+    }
+
+    if (!result) {
+      return null;
+    }
+
+    let [kind, value, ttl] = result;
+
+    if (kind === 'hash') {
+      let state = {};
+
+      for (let i = 0; i < value.length; i += 2) {
+        state[value[i]] = Number(value[i + 1]);
+      }
+
+      value = state;
+    } else {
+      value = Number(value);
+    }
+
+    return {
+      value,
+      ttl: Number(ttl)
+    }
+  }
+
+  /**
+   * Returns keys starting with a prefix.
+   * @param {String} prefix
+   * @param {Integer} [limit=Infinity] Max. number of keys
+   * @returns {Array<String>}
+   *
+   * * Keys are found with SCAN, so Redis is not blocked.
+   */
+  async keys (prefix, limit = Infinity) {
+    let [err, keys] = await to(this._redis.scan(`${escapePattern(prefix)}*`, limit));
+
+    if (err) {
+      throw err;
+    }
+
+    return keys;
+  }
+
+  /**
+   * Deletes a key.
+   * @param {String} key
+   * @returns {Boolean} Whether the key existed
+   */
+  async reset (key) {
+    let [err, count] = await to(this._redis.call('del', [key]));
+
+    if (err) {
+      throw err;
+    }
+
+    return Number(count) > 0;
+  }
+
+  /**
+   * Deletes all keys starting with a prefix.
+   * @param {String} prefix
+   * @returns {Integer} Number of deleted keys
+   *
+   * * Keys are deleted one by one, so keys of different Cluster slots
+   * * can be deleted.
+   */
+  async resetAll (prefix) {
+    let [err, keys] = await to(this.keys(prefix));
+
+    if (err) {
+      throw err;
+    }
+
+    let deleted;
+
+    [err, deleted] = await to(Promise.all(keys.map(key => this.reset(key))));
+
+    if (err) {
+      throw err;
+    }
+
+    return deleted.filter(Boolean).length;
+  }
+}
+
+/**
+ * Escapes special characters of a glob-style pattern (e.g. SCAN MATCH).
+ * @param {String} value
+ * @returns {String}
+ * @private
+ */
+function escapePattern (value) {
+  return value.replace(/[*?[\]\\]/g, '\\$&');
 }
 
 module.exports = RedisStore;
 module.exports.REDIS_CMD_NAME = REDIS_CMD_NAME;
+module.exports.REDIS_DECREMENT_CMD_NAME = REDIS_DECREMENT_CMD_NAME;
+module.exports.REDIS_SLIDING_LOG_CMD_NAME = REDIS_SLIDING_LOG_CMD_NAME;
+module.exports.REDIS_SLIDING_WINDOW_CMD_NAME = REDIS_SLIDING_WINDOW_CMD_NAME;
+module.exports.REDIS_TOKEN_BUCKET_CMD_NAME = REDIS_TOKEN_BUCKET_CMD_NAME;
+module.exports.REDIS_GCRA_CMD_NAME = REDIS_GCRA_CMD_NAME;
+module.exports.REDIS_ACQUIRE_CMD_NAME = REDIS_ACQUIRE_CMD_NAME;
+module.exports.REDIS_GET_CMD_NAME = REDIS_GET_CMD_NAME;
@@ -0,0 +1,308 @@
+'use strict'
+
+/**
+ * Module dependencies.
+ * @private
+ */
+const EventEmitter = require('events');
+const LocalStore = require('./LocalStore');
+const { awaitTo: to } = require('../util');
+
+/**
+ * Local constants.
+ * @private
+ */
+const STORE_METHODS = [
+  'increment',
+  'decrement',
+  'slidingLog',
+  'slidingWindow',
+  'tokenBucket',
+  'gcra',
+  'acquire',
+  'release',
+  'ban',
+  'getBan',
+  'get',
+  'keys',
+  'reset',
+  'resetAll'
+];
+
+/**
+ * Methods that are applied to the fallback store as well, so counters
+ * collected while the primary store was switched off are reset too.
+ * @type {Array<String>}
+ * @private
+ */
+const RESET_METHODS = ['reset', 'resetAll'];
+
+/**
+ * Circuit breaker states.
+ * @type {Object}
+ * @private
+ */
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Store wrapper with a circuit breaker. After repeated errors of the
+ * primary store (e.g. Redis) requests are served by the fallback store
+ * for a cool-off period, then the primary store is probed again.
+ *
+ * Probing is lazy: there is no timer, the first call after the cool-off
+ * period probes the primary store. Concurrency leases are released in
+ * the store that acquired them, even if the state has changed since.
+ *
+ * Events:
+ *
+ * * "open" (err) - primary store is switched off
+ * * "half-open" - cool-off period is over, primary store is being probed
+ * * "closed" - primary store is switched back on
+ * * "failure" (err) - primary store failed
+ */
+class ResilientStore extends EventEmitter {
+  /**
+   * Constructor.
+   * @param {Store} primary Primary store
+   * @param {Object} [options]
+   *   @property {Store} [fallback] Fallback store. Defaults to a new Local Store
+   *   @property {Integer} [failureThreshold=5] Number of consecutive errors after which
+   *                                            the primary store is switched off
+   *   @property {Integer} [coolOff=30] Time the primary store is switched off for (seconds)
+   */
+  constructor (primary, { fallback = new LocalStore(), failureThreshold = 5, coolOff = 30 } = {}) {
+    super();
+
+    if (!primary) {
+      throw new Error('`primary` store is required.');
+    }
+
+    /**
+     * Primary store.
+     * @type {Store}
+     */
+    this._primary = primary;
+
+    /**
+     * Fallback store.
+     * @type {Store}
+     */
+    this._fallback = fallback;
+
+    this._failureThreshold = failureThreshold;
+    this._coolOff = coolOff;
+
+    /**
+     * Circuit breaker state.
+     * @type {String}
+     */
+    this._state = STATES.CLOSED;
+
+    /**
+     * Number of consecutive errors of the primary store.
+     * @type {Integer}
+     */
+    this._failures = 0;
+
+    /**
+     * Time until the primary store is switched off (milliseconds).
+     * @type {Integer}
+     */
+    this._openUntil = 0;
+
+    /**
+     * Whether the primary store is being probed.
+     * @type {Boolean}
+     */
+    this._probing = false;
+
+    /**
+     * Stores that acquired concurrency leases (by key and lease id).
+     * @type {Map<String, Store>}
+     */
+    this._leases = new Map();
+
+    // Expose only methods supported by both stores, so the limiter
+    // can tell which algorithms are supported.
+    for (const method of STORE_METHODS) {
+      if (
+        typeof primary[method] === 'function' &&
+        typeof fallback[method] === 'function'
+      ) {
+        if (RESET_METHODS.includes(method)) {
+          this[method] = (...args) => this._reset(method, args);
+        } else if (method === 'acquire') {
+          this[method] = (...args) => this._acquire(args);
+        } else if (method === 'release') {
+          this[method] = (...args) => this._release(args);
+        } else {
+          this[method] = (...args) => this._call(method, args);
+        }
+      }
+    }
+  }
+
+  /**
+   * Current circuit breaker state: "closed", "open" or "half-open".
+   * @type {String}
+   */
+  get state () {
+    return this._state;
+  }
+
+  /**
+   * Calls a store method on the primary store or, if it is switched off
+   * or fails, on the fallback store.
+   * @param {String} method
+   * @param {Array<Any>} args
+   * @returns {Any}
+   * @private
+   */
+  async _call (method, args) {
+    return (await this._serve(method, args)).result;
+  }
+
+  /**
+   * Calls a store method like `_call`, and tells which store served it.
+   * @param {String} method
+   * @param {Array<Any>} args
+   * @returns {Object}
+   *   @property {Store} store
+   *   @property {Any} result
+   * @private
+   */
+  async _serve (method, args) {
+    if (
+      this._state === STATES.OPEN &&
+      Date.now() >= this._openUntil
+    ) {
+      this._setState(STATES.HALF_OPEN);
+    }
+
+    // Only a single request probes the primary store.
+    if (
+      this._state === STATES.OPEN ||
+      (this._state === STATES.HALF_OPEN && this._probing)
+    ) {
+      return { store: this._fallback, result: await this._fallback[method](...args) };
+    }
+
+    const probing = this._state === STATES.HALF_OPEN;
+
+    this._probing = probing;
+
+    let [err, result] = await to(Promise.resolve().then(() => this._primary[method](...args)));
+
+    if (probing) {
+      this._probing = false;
+    }
+
+    if (!err) {
+      this._failures = 0;
+
+      if (probing) {
+        this._setState(STATES.CLOSED);
+      }
+
+      return { store: this._primary, result };
+    }
+
+    this._failures++;
+    this.emit('failure', err);
+
+    if (
+      probing ||
+      (this._state === STATES.CLOSED && this._failures >= this._failureThreshold)
+    ) {
+      this._openUntil = Date.now() + this._coolOff * 1000;
+      this._setState(STATES.OPEN, err);
+    }
+
+    return { store: this._fallback, result: await this._fallback[method](...args) };
+  }
+
+  /**
+   * Acquires a concurrency lease and remembers the store that acquired it.
+   * @param {Array<Any>} args `key`, `ttl`, `max` and lease `id`
+   * @returns {Object}
+   * @private
+   */
+  async _acquire (args) {
+    const [key, , max, id] = args;
+    const { store, result } = await this._serve('acquire', args);
+
+    if (result.current <= max) {
+      this._leases.set(`${key}\n${id}`, store);
+    }
+
+    return result;
+  }
+
+  /**
+   * Releases a concurrency lease in the store that acquired it.
+   * @param {Array<Any>} args `key` and lease `id`
+   * @returns {Any}
+   * @private
+   */
+  async _release (args) {
+    const [key, id] = args;
+    const leaseKey = `${key}\n${id}`;
+    const store = this._leases.get(leaseKey);
+
+    // Lease of an unknown store (e.g. acquired before a restart).
+    if (!store) {
+      return this._call('release', args);
+    }
+
+    this._leases.delete(leaseKey);
+
+    return store.release(...args);
+  }
+
+  /**
+   * Calls a reset method on both stores.
+   * @param {String} method
+   * @param {Array<Any>} args
+   * @returns {Any} Result of the primary store (or the fallback store
+   *                if the primary one is switched off or fails)
+   * @private
+   */
+  async _reset (method, args) {
+    let result = await this._call(method, args);
+
+    await this._fallback[method](...args);
+
+    return result;
+  }
+
+  /**
+   * Changes the circuit breaker state and emits an event.
+   * @param {String} state
+   * @param {Error} [err] Error that caused the change
+   * @returns {void}
+   * @private
+   */
+  _setState (state, err) {
+    this._state = state;
+    this.emit(state, err);
+  }
+
+  /**
+   * Closes both stores (called on fastify close).
+   * @returns {void}
+   */
+  async close () {
+    for (const store of [this._primary, this._fallback]) {
+      if (typeof store.close === 'function') {
+        await store.close();
+      }
+    }
+  }
+}
+
+module.exports = ResilientStore;
+module.exports.STATES = STATES;
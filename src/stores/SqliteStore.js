@@ -0,0 +1,506 @@
+'use strict'
+
+/**
+ * Local constants.
+ * @private
+ */
+const DEFAULT_TABLE = 'fastify_proper_limiter';
+const DEFAULT_CLEANUP_INTERVAL = 60;
+
+class SqliteStore {
+  /**
+   * Constructor.
+   * @param {Database} db better-sqlite3 database
+   * @param {Object} [options]
+   *   @property {String} [table="fastify_proper_limiter"] Table name
+   *   @property {Integer} [cleanupInterval=60] Interval of expired rows cleanup (seconds),
+   *                                            `0` disables periodic cleanup
+   */
+  constructor (db, { table = DEFAULT_TABLE, cleanupInterval = DEFAULT_CLEANUP_INTERVAL } = {}) {
+    if (
+      !db ||
+      typeof db.prepare !== 'function'
+    ) {
+      throw new Error('`db` must be an instance of "better-sqlite3" Database.');
+    }
+
+    if (
+      typeof table !== 'string' ||
+      !/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)
+    ) {
+      throw new Error('`table` should be a valid SQL identifier.');
+    }
+
+    // "value" is used by counters, "state" keeps a JSON state of other algorithms.
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        key TEXT PRIMARY KEY,
+        value INTEGER NOT NULL DEFAULT 0,
+        state TEXT,
+        expires_at INTEGER NOT NULL
+      ) WITHOUT ROWID;
+
+      CREATE INDEX IF NOT EXISTS ${table}_expires_at ON ${table} (expires_at);
+    `);
+
+    /**
+     * Database (better-sqlite3).
+     * @type {Database}
+     */
+    this._db = db;
+
+    /**
+     * Prepared statements.
+     * @type {Object}
+     */
+    this._statements = {
+      // Counter is reset (in the same statement) if it is expired.
+      increment: db.prepare(`
+        INSERT INTO ${table} (key, value, expires_at) VALUES (@key, @amount, @now + @ttl)
+        ON CONFLICT (key) DO UPDATE SET
+          value = CASE WHEN expires_at <= @now THEN @amount ELSE value + @amount END,
+          expires_at = CASE WHEN expires_at <= @now THEN @now + @ttl ELSE expires_at END
+        RETURNING value, expires_at
+      `),
+
+      decrement: db.prepare(`
+        UPDATE ${table} SET value = MAX(0, value - @amount)
+        WHERE key = @key AND expires_at > @now
+        RETURNING value
+      `),
+
+      get: db.prepare(`SELECT state, expires_at FROM ${table} WHERE key = ? AND expires_at > ?`),
+      set: db.prepare(`INSERT OR REPLACE INTO ${table} (key, state, expires_at) VALUES (?, ?, ?)`),
+      inspect: db.prepare(`SELECT value, state, expires_at FROM ${table} WHERE key = ? AND expires_at > ?`),
+      keys: db.prepare(`SELECT key FROM ${table} WHERE substr(key, 1, @length) = @prefix AND expires_at > @now LIMIT @limit`),
+      reset: db.prepare(`DELETE FROM ${table} WHERE key = ?`),
+      resetAll: db.prepare(`DELETE FROM ${table} WHERE substr(key, 1, @length) = @prefix`),
+      cleanup: db.prepare(`DELETE FROM ${table} WHERE expires_at <= ?`)
+    }
+
+    /**
+     * Updates a JSON state by key in a transaction.
+     * @type {Function}
+     *   @param {String} key
+     *   @param {Integer} now Current time (milliseconds)
+     *   @param {Function} update Takes the current state (`null` if there is none) and
+     *                            the current time, and returns `{ state, expiresAt, result }`
+     *   @returns {Any} Result
+     */
+    this._update = db.transaction((key, now, update) => {
+      const row = this._statements.get.get(key, now);
+      const { state, expiresAt, result } = update(row ? JSON.parse(row.state) : null, now);
+
+      if (state) {
+        this._statements.set.run(key, JSON.stringify(state), expiresAt);
+      }
+
+      return result;
+    });
+
+    /**
+     * Cleanup timer.
+     * @type {Timeout}
+     */
+    this._cleanupTimer = null;
+
+    if (cleanupInterval > 0) {
+      this._cleanupTimer = setInterval(() => {
+        // Database may be already closed.
+        try {
+          this.cleanup();
+        } catch (err) {}
+      }, cleanupInterval * 1000);
+
+      // Cleanup should not keep the process alive.
+      this._cleanupTimer.unref();
+    }
+  }
+
+  /**
+   * Runs a state update in an immediate transaction, so it is atomic
+   * even if the database is shared by several processes.
+   * @param {String} key
+   * @param {Function} update
+   * @returns {Any}
+   * @private
+   */
+  _transaction (key, update) {
+    return this._update.immediate(key, Date.now(), update);
+  }
+
+  /**
+   * Removes expired rows.
+   * @returns {Integer} Number of removed rows
+   */
+  cleanup () {
+    return this._statements.cleanup.run(Date.now()).changes;
+  }
+
+  /**
+   * Stops periodic cleanup. The database is not closed.
+   * @returns {void}
+   */
+  async close () {
+    clearInterval(this._cleanupTimer);
+    this._cleanupTimer = null;
+  }
+
+  /**
+   * Increments value by key.
+   * @param {String} key Key to increment
+   * @param {Integer} ttl Key time-to-live (seconds)
+   * @param {Integer} [amount=1] Increment
+   * @returns {Object}
+   *   @property {Integer} current Current value
+   *   @property {Integer} ttl Time left until the key expires (milliseconds)
+   */
+  async increment (key, ttl, amount = 1) {
+    let now = Date.now();
+    let row = this._statements.increment.get({ key, ttl: ttl * 1000, amount, now });
+
+    return {
+      current: row.value,
+      ttl: row.expires_at - now
+    }
+  }
+
+  /**
+   * Decrements value by key.
+   * @param {String} key Key to decrement
+   * @param {Integer} [amount=1] Decrement
+   * @returns {Integer} Current value
+   *
+   * * Value never goes below zero, and missing (or expired) keys
+   * * are not created.
+   */
+  async decrement (key, amount = 1) {
+    let row = this._statements.decrement.get({ key, amount, now: Date.now() });
+
+    return row ? row.value : 0;
+  }
+
+  /**
+   * Logs a request in the sliding window log by key.
+   * @param {String} key Log key
+   * @param {Integer} ttl Time window (seconds)
+   * @param {Integer} max Maximum number of requests in the time window
+   * @param {Integer} [amount=1] Number of requests to log
+   * @returns {Object}
+   *   @property {Integer} current Current request number in the time window
+   *   @property {Integer} ttl Time left until the oldest request leaves the time window (milliseconds)
+   */
+  async slidingLog (key, ttl, max, amount = 1) {
+    return this._transaction(key, (log, now) => {
+      let window = ttl * 1000;
+      let timestamps = (log ? log.timestamps : []).filter(timestamp => (now - timestamp) < window);
+      let current = timestamps.length + amount;
+
+      if (current <= max) {
+        for (let i = 0; i < amount; i++) {
+          timestamps.push(now);
+        }
+      }
+
+      return {
+        state: { timestamps },
+        expiresAt: timestamps.length > 0 ? timestamps[timestamps.length - 1] + window : now,
+
+        result: {
+          current,
+          ttl: timestamps.length > 0 ? timestamps[0] + window - now : window
+        }
+      }
+    });
+  }
+
+  /**
+   * Counts a request in the sliding window counter by key.
+   * @param {String} key Counter key
+   * @param {Integer} ttl Time window (seconds)
+   * @param {Integer} max Maximum number of requests in the time window
+   * @param {Integer} [amount=1] Increment
+   * @returns {Object}
+   *   @property {Integer} current Estimated request number in the time window
+   *   @property {Integer} ttl Time left until the current fixed window ends (milliseconds)
+   */
+  async slidingWindow (key, ttl, max, amount = 1) {
+    return this._transaction(key, (counter, now) => {
+      let window = ttl * 1000;
+      let elapsed = now % window;
+      let index = (now - elapsed) / window;
+
+      if (!counter) {
+        counter = {
+          index,
+          current: 0,
+          previous: 0
+        }
+      } else if (counter.index !== index) {
+        counter.previous = counter.index === index - 1 ? counter.current : 0;
+        counter.current = 0;
+        counter.index = index;
+      }
+
+      let current = Math.floor(counter.previous * (window - elapsed) / window) + counter.current + amount;
+
+      if (current <= max) {
+        counter.current += amount;
+      }
+
+      return {
+        state: counter,
+        expiresAt: (index + 2) * window,
+
+        result: {
+          current,
+          ttl: window - elapsed
+        }
+      }
+    });
+  }
+
+  /**
+   * Takes a token from the token bucket by key.
+   * @param {String} key Bucket key
+   * @param {Integer} capacity Bucket size
+   * @param {Number} refillRate Number of tokens added per second
+   * @param {Integer} [amount=1] Number of tokens to take
+   * @returns {Object}
+   *   @property {Integer} current Number of tokens taken from the bucket, including
+   *                               this request (greater than `capacity` if there are not enough tokens)
+   *   @property {Integer} ttl Time left until the next token is added (milliseconds)
+   *   @property {Integer} [retryAfter] Time left until there are enough tokens (milliseconds),
+   *                                    only if a request is rejected
+   */
+  async tokenBucket (key, capacity, refillRate, amount = 1) {
+    return this._transaction(key, (bucket, now) => {
+
+      if (!bucket) {
+        bucket = {
+          tokens: capacity,
+          updatedAt: now
+        }
+      } else {
+        bucket.tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillRate / 1000);
+        bucket.updatedAt = now;
+      }
+
+      let current = capacity - Math.floor(bucket.tokens) + amount;
+      let result;
+
+      if (bucket.tokens < amount) {
+        result = {
+          current,
+          ttl: Math.ceil((1 - bucket.tokens % 1) * 1000 / refillRate),
+          retryAfter: Math.ceil((amount - bucket.tokens) * 1000 / refillRate)
+        }
+      } else {
+        bucket.tokens -= amount;
+
+        result = {
+          current,
+          ttl: bucket.tokens < capacity ? Math.ceil((1 - bucket.tokens % 1) * 1000 / refillRate) : 0
+        }
+      }
+
+      return {
+        state: bucket,
+
+        // Bucket is full again, so the state is not needed anymore.
+        expiresAt: now + Math.ceil((capacity - bucket.tokens) * 1000 / refillRate),
+
+        result
+      }
+    });
+  }
+
+  /**
+   * Checks a request against the Generic Cell Rate Algorithm by key.
+   * @param {String} key Key
+   * @param {Integer} ttl Time window (seconds)
+   * @param {Integer} max Maximum number of requests in the time window
+   * @param {Integer} [amount=1] Number of requests
+   * @returns {Object}
+   *   @property {Integer} current Current request number in the time window
+   *   @property {Integer} ttl Time left until the limit fully resets (milliseconds)
+   *   @property {Integer} [retryAfter] Time left until a request is allowed (milliseconds),
+   *                                    only if a request is rejected
+   */
+  async gcra (key, ttl, max, amount = 1) {
+    return this._transaction(key, (state, now) => {
+      let interval = ttl * 1000 / max;
+      let tolerance = interval * max;
+      let tat = Math.max(state ? state.tat : now, now);
+      let current = max - Math.floor((now - tat + tolerance) / interval) + amount;
+      let allowAt = tat + interval * amount - tolerance;
+
+      if (now < allowAt) {
+        return {
+          state: null,
+
+          result: {
+            current,
+            ttl: tat - now,
+            retryAfter: allowAt - now
+          }
+        }
+      }
+
+      tat += interval * amount;
+
+      return {
+        state: { tat },
+        expiresAt: Math.ceil(tat),
+
+        result: {
+          current,
+          ttl: tat - now
+        }
+      }
+    });
+  }
+
+  /**
+   * Acquires a concurrency lease by key.
+   * @param {String} key Key of the leases
+   * @param {Integer} ttl Lease time-to-live (seconds)
+   * @param {Integer} max Maximum number of simultaneous leases
+   * @param {String} id Lease id
+   * @returns {Object}
+   *   @property {Integer} current Current number of leases, including the requested one
+   *   @property {Integer} ttl Time left until the oldest lease expires (milliseconds)
+   */
+  async acquire (key, ttl, max, id) {
+    return this._transaction(key, (state, now) => {
+      let leases = {};
+
+      // Drop expired leases.
+      for (const [lease, expiresAt] of Object.entries(state ? state.leases : {})) {
+        if (expiresAt > now) {
+          leases[lease] = expiresAt;
+        }
+      }
+
+      let current = Object.keys(leases).length + 1;
+
+      if (current <= max) {
+        leases[id] = now + ttl * 1000;
+      }
+
+      let expirations = Object.values(leases);
+
+      return {
+        state: { leases },
+        expiresAt: Math.max(now, ...expirations),
+
+        result: {
+          current,
+          ttl: expirations.length > 0 ? Math.min(...expirations) - now : ttl * 1000
+        }
+      }
+    });
+  }
+
+  /**
+   * Releases a concurrency lease by key.
+   * @param {String} key Key of the leases
+   * @param {String} id Lease id
+   * @returns {void}
+   */
+  async release (key, id) {
+    this._transaction(key, (state, now) => {
+      if (!state) {
+        return {
+          state: null
+        }
+      }
+
+      delete state.leases[id];
+
+      return {
+        state,
+        expiresAt: Math.max(now, ...Object.values(state.leases))
+      }
+    });
+  }
+
+  /**
+   * Bans a key.
+   * @param {String} key Ban key
+   * @param {Integer} ttl Ban duration (seconds)
+   * @returns {void}
+   */
+  async ban (key, ttl) {
+    this._statements.set.run(key, null, Date.now() + ttl * 1000);
+  }
+
+  /**
+   * Returns time left until a ban by key expires.
+   * @param {String} key Ban key
+   * @returns {Integer} Time left (milliseconds) or `0` if there is no ban
+   */
+  async getBan (key) {
+    let now = Date.now();
+    let row = this._statements.get.get(key, now);
+
+    return row ? row.expires_at - now : 0;
+  }
+
+  /**
+   * Returns a value by key.
+   * @param {String} key
+   * @returns {Object|null} `null` if there is no such key
+   *   @property {Integer|Object} value Counter value or a state of other algorithms
+   *   @property {Integer} ttl Time left until the key expires (milliseconds)
+   */
+  async get (key) {
+    let now = Date.now();
+    let row = this._statements.inspect.get(key, now);
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      value: row.state ? JSON.parse(row.state) : row.value,
+      ttl: row.expires_at - now
+    }
+  }
+
+  /**
+   * Returns keys starting with a prefix.
+   * @param {String} prefix
+   * @param {Integer} [limit=Infinity] Max. number of keys
+   * @returns {Array<String>}
+   */
+  async keys (prefix, limit = Infinity) {
+    // Negative LIMIT means no limit in SQLite.
+    return this._statements.keys.pluck().all({
+      prefix,
+      length: prefix.length,
+      now: Date.now(),
+      limit: Number.isFinite(limit) ? limit : -1
+    });
+  }
+
+  /**
+   * Deletes a key.
+   * @param {String} key
+   * @returns {Boolean} Whether the key existed
+   */
+  async reset (key) {
+    return this._statements.reset.run(key).changes > 0;
+  }
+
+  /**
+   * Deletes all keys starting with a prefix.
+   * @param {String} prefix
+   * @returns {Integer} Number of deleted keys
+   */
+  async resetAll (prefix) {
+    return this._statements.resetAll.run({ prefix, length: prefix.length }).changes;
+  }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,267 @@
+'use strict'
+
+/**
+ * Module dependencies.
+ * @private
+ */
+const { awaitTo: to } = require('../util');
+
+/**
+ * Local constants.
+ * @private
+ */
+const SCAN_COUNT = 100;
+
+/**
+ * Adapter of ioredis clients, both standalone (`Redis`) and `Cluster`.
+ * Cluster routes a script to the node that owns the slot of its first key.
+ */
+class IoredisAdapter {
+  /**
+   * Constructor.
+   * @param {ioredis|ioredis.Cluster} redis
+   */
+  constructor (redis) {
+    /**
+     * Redis Client (ioredis).
+     * @type {ioredis|ioredis.Cluster}
+     */
+    this._redis = redis;
+  }
+
+  /**
+   * Runs a Lua script by its SHA1 digest.
+   * @param {String} sha
+   * @param {Array<String>} keys
+   * @param {Array<Any>} args
+   * @returns {Any}
+   */
+  evalsha (sha, keys, args) {
+    return this._redis.evalsha(sha, keys.length, ...keys, ...args);
+  }
+
+  /**
+   * Runs a Lua script.
+   * @param {String} lua
+   * @param {Array<String>} keys
+   * @param {Array<Any>} args
+   * @returns {Any}
+   */
+  eval (lua, keys, args) {
+    return this._redis.eval(lua, keys.length, ...keys, ...args);
+  }
+
+  /**
+   * Runs a command.
+   * @param {String} command
+   * @param {Array<Any>} args
+   * @returns {Any}
+   */
+  call (command, args) {
+    return this._redis.call(command, ...args);
+  }
+
+  /**
+   * Returns keys matching a pattern. Every master node is scanned
+   * in case of Cluster.
+   * @param {String} pattern
+   * @param {Integer} [limit=Infinity] Max. number of keys, scan stops when it is reached
+   * @returns {Array<String>}
+   */
+  async scan (pattern, limit = Infinity) {
+    let nodes = typeof this._redis.nodes === 'function' ? this._redis.nodes('master') : [this._redis];
+    let keys = new Set();
+
+    for (const node of nodes) {
+      let cursor = '0';
+
+      do {
+        let [next, batch] = await node.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+
+        cursor = String(next);
+        batch.forEach(key => keys.add(key));
+      } while (cursor !== '0' && keys.size < limit);
+
+      if (keys.size >= limit) {
+        break;
+      }
+    }
+
+    return [...keys].slice(0, limit);
+  }
+}
+
+/**
+ * Adapter of node-redis (v4) clients.
+ */
+class NodeRedisAdapter {
+  /**
+   * Constructor.
+   * @param {RedisClient} redis
+   */
+  constructor (redis) {
+    /**
+     * Redis Client (node-redis).
+     * @type {RedisClient}
+     */
+    this._redis = redis;
+  }
+
+  /**
+   * Runs a Lua script by its SHA1 digest.
+   * @param {String} sha
+   * @param {Array<String>} keys
+   * @param {Array<Any>} args
+   * @returns {Any}
+   */
+  evalsha (sha, keys, args) {
+    return this._redis.evalSha(sha, { keys, arguments: args.map(String) });
+  }
+
+  /**
+   * Runs a Lua script.
+   * @param {String} lua
+   * @param {Array<String>} keys
+   * @param {Array<Any>} args
+   * @returns {Any}
+   */
+  eval (lua, keys, args) {
+    return this._redis.eval(lua, { keys, arguments: args.map(String) });
+  }
+
+  /**
+   * Runs a command.
+   * @param {String} command
+   * @param {Array<Any>} args
+   * @returns {Any}
+   */
+  call (command, args) {
+    return this._redis.sendCommand([command, ...args.map(String)]);
+  }
+
+  /**
+   * Returns keys matching a pattern.
+   * @param {String} pattern
+   * @param {Integer} [limit=Infinity] Max. number of keys, scan stops when it is reached
+   * @returns {Array<String>}
+   */
+  async scan (pattern, limit = Infinity) {
+    let keys = new Set();
+    let cursor = '0';
+
+    do {
+      let [next, batch] = await this.call('SCAN', [cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT]);
+
+      cursor = String(next);
+      batch.forEach(key => keys.add(key));
+    } while (cursor !== '0' && keys.size < limit);
+
+    return [...keys].slice(0, limit);
+  }
+}
+
+/**
+ * Creates an adapter of a redis client.
+ * @param {ioredis|ioredis.Cluster|RedisClient} redis
+ * @returns {IoredisAdapter|NodeRedisAdapter}
+ * @throws {Error} If the client is not supported
+ */
+function createRedisAdapter (redis) {
+  if (!redis) {
+    throw new Error('`redis` must be an instance of "ioredis".');
+  }
+
+  if (
+    typeof redis.evalsha === 'function' &&
+    typeof redis.call === 'function'
+  ) {
+    return new IoredisAdapter(redis);
+  }
+
+  if (
+    typeof redis.evalSha === 'function' &&
+    typeof redis.sendCommand === 'function'
+  ) {
+    return new NodeRedisAdapter(redis);
+  }
+
+  throw new Error('`redis` must be an instance of "ioredis" (`Redis` or `Cluster`) or "redis" (v4) client.');
+}
+
+/**
+ * Runs a Lua script with EVALSHA and falls back to EVAL if the script
+ * is not cached by the server yet (e.g. after a restart or on a new
+ * Cluster node). EVAL caches the script, so next calls hit EVALSHA.
+ * @param {IoredisAdapter|NodeRedisAdapter} adapter
+ * @param {Object} script
+ *   @property {String} lua
+ *   @property {String} sha
+ * @param {Array<String>} keys
+ * @param {Array<Any>} args
+ * @returns {Any}
+ */
+async function runScript (adapter, script, keys, args) {
+  keys = formatKeys(keys);
+
+  let [err, result] = await to(Promise.resolve().then(() => adapter.evalsha(script.sha, keys, args)));
+
+  if (
+    err &&
+    /NOSCRIPT/.test(err.message)
+  ) {
+    [err, result] = await to(Promise.resolve().then(() => adapter.eval(script.lua, keys, args)));
+  }
+
+  if (err) {
+    throw err;
+  }
+
+  return result;
+}
+
+/**
+ * Formats keys of a script, so all of them are in the same Cluster
+ * hash slot: keys are prefixed with the hash tag of the first key.
+ * @param {Array<String>} keys
+ * @returns {Array<String>}
+ *
+ * * The first key is left as is: a key without a hash tag is hashed
+ * * as a whole, just like its content in a hash tag.
+ */
+function formatKeys (keys) {
+  if (keys.length < 2) {
+    return keys;
+  }
+
+  const tag = getHashTag(keys[0]);
+
+  return keys.map((key, index) => index === 0 || getHashTag(key) === tag ? key : `{${tag}}${key}`);
+}
+
+/**
+ * Returns the part of a key that is hashed by Redis Cluster.
+ * @param {String} key
+ * @returns {String}
+ * @private
+ */
+function getHashTag (key) {
+  const start = key.indexOf('{');
+
+  if (start !== -1) {
+    const end = key.indexOf('}', start + 1);
+
+    if (end > start + 1) {
+      return key.slice(start + 1, end);
+    }
+  }
+
+  return key;
+}
+
+module.exports = {
+  IoredisAdapter,
+  NodeRedisAdapter,
+  createRedisAdapter,
+  runScript,
+  formatKeys
+}
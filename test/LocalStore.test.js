@@ -1,42 +1,93 @@
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
 const LocalStore = require('../src/stores/LocalStore');
+const { createTempDir, removeDir } = require('./helpers');
 
 test('does set() and get()', () => {
   const store = new LocalStore();
 
   store._set('key', 'value');
   expect(store._get('key')).toEqual('value');
-  expect(store._size).toEqual(1);
+  expect(store.size).toEqual(1);
 
   store._set('key', 'value_new');
   expect(store._get('key')).toEqual('value_new');
-  expect(store._size).toEqual(1);
+  expect(store.size).toEqual(1);
 
   store._set('key2', 'value');
   expect(store._get('key2')).toEqual('value');
-  expect(store._size).toEqual(2);
+  expect(store.size).toEqual(2);
 });
 
-test('lru-cache algorithm should work as expected with "max" parameter', () => {
-  const store = new LocalStore(2);
+test('should expire entries by time-to-live', async () => {
+  jest.useFakeTimers();
 
-  expect(store._max).toEqual(2);
+  const store = new LocalStore(5000, { sweepInterval: 60 });
+  const now = jest.spyOn(Date, 'now');
 
-  store._set('key', 'value');
-  expect(store._size).toEqual(1);
-  expect(store._cache.size).toEqual(1);
-  expect(store._oldCache.size).toEqual(0);
+  now.mockReturnValue(1000);
 
-  store._set('key2', 'value');
-  expect(store._size).toEqual(0);
-  expect(store._cache.size).toEqual(0);
-  expect(store._oldCache.size).toEqual(2);
+  await store.increment('short', 10);
+  await store.increment('long', 120);
 
-  expect(store._get('key2')).toEqual('value');
-  expect(store._size).toEqual(1);
-  expect(store._cache.size).toEqual(1);
-  expect(store._oldCache.size).toEqual(1);
+  // Expired entries are not returned, even if they are not swept yet.
+  now.mockReturnValue(11000);
+
+  expect(store._get('short')).toBeUndefined();
+  expect(store.size).toEqual(1);
+
+  await store.increment('short', 10);
+
+  // Periodic sweep.
+  now.mockReturnValue(61000);
+  jest.advanceTimersByTime(60000);
+
+  expect(store.size).toEqual(1);
+  expect((await store.increment('long', 120)).current).toEqual(2);
+
+  await store.close();
+
+  now.mockRestore();
+  jest.useRealTimers();
+});
+
+test('should evict expired, then least recently used entries if the store is full', async () => {
+  const store = new LocalStore(3, { sweepInterval: 0 });
+  const now = jest.spyOn(Date, 'now');
+  const evicted = [];
+
+  store.on('evict', key => evicted.push(key));
+
+  now.mockReturnValue(1000);
+
+  await store.increment('attacker', 60);
+  await store.increment('short', 1);
+  await store.increment('a', 60);
+
+  // Expired entries are evicted first.
+  now.mockReturnValue(3000);
+
+  await store.increment('b', 60);
+
+  expect(store._get('short')).toBeUndefined();
+  expect(evicted).toEqual([]);
+
+  // Active counters are kept while they are used.
+  await store.increment('attacker', 60);
+  await store.increment('c', 60);
+  await store.increment('attacker', 60);
+  await store.increment('d', 60);
+
+  expect((await store.increment('attacker', 60)).current).toEqual(4);
+  expect(store.size).toEqual(3);
+
+  // Least recently used active counters are evicted and reported.
+  expect(evicted).toEqual(['a', 'b']);
+  expect(store.evictions).toEqual(2);
+
+  now.mockRestore();
 });
 
 test('should increment value by key', async () => {
@@ -45,15 +96,350 @@ test('should increment value by key', async () => {
   let cur;
   cur = await store.increment('key', 2);
 
-  expect(cur).toEqual(1);
+  expect(cur.current).toEqual(1);
+  expect(cur.ttl).toBeLessThanOrEqual(2000);
+  expect(cur.ttl).toBeGreaterThan(1900);
 
   cur = await store.increment('key', 2);
 
-  expect(cur).toEqual(2);
+  expect(cur.current).toEqual(2);
 
   await new Promise(resolve => setTimeout(() => resolve(), 3000));
 
   cur = await store.increment('key', 2);
 
-  expect(cur).toEqual(1);
+  expect(cur.current).toEqual(1);
+});
+
+test('should enforce an exact rolling window with sliding log', async () => {
+  const store = new LocalStore();
+  const now = jest.spyOn(Date, 'now');
+
+  let cur;
+
+  now.mockReturnValue(1000);
+  cur = await store.slidingLog('key', 10, 2);
+
+  expect(cur).toEqual({ current: 1, ttl: 10000 });
+
+  now.mockReturnValue(6000);
+  cur = await store.slidingLog('key', 10, 2);
+
+  expect(cur).toEqual({ current: 2, ttl: 5000 });
+
+  // Rejected requests are not logged.
+  now.mockReturnValue(9000);
+  cur = await store.slidingLog('key', 10, 2);
+
+  expect(cur).toEqual({ current: 3, ttl: 2000 });
+
+  // The first request left the window.
+  now.mockReturnValue(11000);
+  cur = await store.slidingLog('key', 10, 2);
+
+  expect(cur).toEqual({ current: 2, ttl: 5000 });
+
+  now.mockReturnValue(12000);
+  cur = await store.slidingLog('key', 10, 2);
+
+  expect(cur).toEqual({ current: 3, ttl: 4000 });
+
+  // Buffer is resized when "max" changes.
+  cur = await store.slidingLog('key', 10, 1);
+
+  expect(cur).toEqual({ current: 2, ttl: 9000 });
+
+  // Fractional "max" allows as many requests as its integer part.
+  expect((await store.slidingLog('fraction', 10, 2.5)).current).toEqual(1);
+  expect((await store.slidingLog('fraction', 10, 2.5)).current).toEqual(2);
+  expect((await store.slidingLog('fraction', 10, 2.5)).current).toEqual(3);
+  expect((await store.slidingLog('fraction', 10, 2.5)).current).toEqual(3);
+
+  now.mockRestore();
+});
+
+test('should weight the previous window with sliding window counter', async () => {
+  const store = new LocalStore();
+  const now = jest.spyOn(Date, 'now');
+
+  let cur;
+
+  now.mockReturnValue(10000);
+
+  for (let i = 1; i <= 4; i++) {
+    cur = await store.slidingWindow('key', 10, 4);
+
+    expect(cur).toEqual({ current: i, ttl: 10000 });
+  }
+
+  // Rejected requests are not counted.
+  cur = await store.slidingWindow('key', 10, 4);
+
+  expect(cur).toEqual({ current: 5, ttl: 10000 });
+
+  // 75% of the previous window overlaps with the rolling window.
+  now.mockReturnValue(22500);
+  cur = await store.slidingWindow('key', 10, 4);
+
+  expect(cur).toEqual({ current: 4, ttl: 7500 });
+
+  cur = await store.slidingWindow('key', 10, 4);
+
+  expect(cur).toEqual({ current: 5, ttl: 7500 });
+
+  // Previous window is too old.
+  now.mockReturnValue(40000);
+  cur = await store.slidingWindow('key', 10, 4);
+
+  expect(cur).toEqual({ current: 1, ttl: 10000 });
+
+  now.mockRestore();
+});
+
+test('should take tokens from the token bucket', async () => {
+  const store = new LocalStore();
+  const now = jest.spyOn(Date, 'now');
+
+  let cur;
+
+  now.mockReturnValue(1000);
+
+  for (let i = 1; i <= 3; i++) {
+    cur = await store.tokenBucket('key', 3, 2);
+
+    expect(cur).toEqual({ current: i, ttl: 500 });
+  }
+
+  cur = await store.tokenBucket('key', 3, 2);
+
+  expect(cur).toEqual({ current: 4, ttl: 500, retryAfter: 500 });
+
+  // 1.5 tokens are added.
+  now.mockReturnValue(1750);
+  cur = await store.tokenBucket('key', 3, 2);
+
+  expect(cur).toEqual({ current: 3, ttl: 250 });
+
+  cur = await store.tokenBucket('key', 3, 2);
+
+  expect(cur).toEqual({ current: 4, ttl: 250, retryAfter: 250 });
+
+  // Bucket is full again.
+  now.mockReturnValue(10000);
+  cur = await store.tokenBucket('key', 3, 2);
+
+  expect(cur).toEqual({ current: 1, ttl: 500 });
+
+  now.mockRestore();
+});
+
+test('should space requests out with GCRA', async () => {
+  const store = new LocalStore();
+  const now = jest.spyOn(Date, 'now');
+
+  let cur;
+
+  now.mockReturnValue(1000);
+
+  for (let i = 1; i <= 3; i++) {
+    cur = await store.gcra('key', 3, 3);
+
+    expect(cur).toEqual({ current: i, ttl: i * 1000 });
+  }
+
+  cur = await store.gcra('key', 3, 3);
+
+  expect(cur).toEqual({ current: 4, ttl: 3000, retryAfter: 1000 });
+
+  // A single request is allowed after the emission interval.
+  now.mockReturnValue(2000);
+  cur = await store.gcra('key', 3, 3);
+
+  expect(cur).toEqual({ current: 3, ttl: 3000 });
+
+  cur = await store.gcra('key', 3, 3);
+
+  expect(cur).toEqual({ current: 4, ttl: 3000, retryAfter: 1000 });
+
+  now.mockRestore();
+});
+
+test('should consume an arbitrary amount', async () => {
+  const store = new LocalStore();
+  const now = jest.spyOn(Date, 'now');
+
+  now.mockReturnValue(1000);
+
+  expect((await store.increment('counter', 10, 3)).current).toEqual(3);
+  expect((await store.increment('counter', 10, 4)).current).toEqual(7);
+
+  // Rejected requests are not counted.
+  expect((await store.slidingLog('log', 10, 5, 3)).current).toEqual(3);
+  expect((await store.slidingLog('log', 10, 5, 3)).current).toEqual(6);
+  expect((await store.slidingLog('log', 10, 5, 2)).current).toEqual(5);
+
+  expect((await store.slidingWindow('window', 10, 5, 3)).current).toEqual(3);
+  expect((await store.slidingWindow('window', 10, 5, 3)).current).toEqual(6);
+  expect((await store.slidingWindow('window', 10, 5, 2)).current).toEqual(5);
+
+  expect(await store.tokenBucket('bucket', 5, 1, 3)).toEqual({ current: 3, ttl: 1000 });
+  expect(await store.tokenBucket('bucket', 5, 1, 3)).toEqual({ current: 6, ttl: 1000, retryAfter: 1000 });
+  expect(await store.tokenBucket('bucket', 5, 1, 2)).toEqual({ current: 5, ttl: 1000 });
+
+  expect(await store.gcra('gcra', 10, 5, 3)).toEqual({ current: 3, ttl: 6000 });
+  expect(await store.gcra('gcra', 10, 5, 3)).toEqual({ current: 6, ttl: 6000, retryAfter: 2000 });
+  expect(await store.gcra('gcra', 10, 5, 2)).toEqual({ current: 5, ttl: 10000 });
+
+  now.mockRestore();
+});
+
+test('should decrement value by key', async () => {
+  const store = new LocalStore();
+
+  expect(await store.decrement('key')).toEqual(0);
+  expect(store._get('key')).toBeUndefined();
+
+  await store.increment('key', 10, 3);
+
+  expect(await store.decrement('key')).toEqual(2);
+  expect(await store.decrement('key', 5)).toEqual(0);
+  expect((await store.increment('key', 10)).current).toEqual(1);
+});
+
+test('should ban a key', async () => {
+  const store = new LocalStore();
+  const now = jest.spyOn(Date, 'now');
+
+  now.mockReturnValue(1000);
+
+  expect(await store.getBan('key')).toEqual(0);
+
+  await store.ban('key', 10);
+
+  expect(await store.getBan('key')).toEqual(10000);
+
+  now.mockReturnValue(5000);
+
+  expect(await store.getBan('key')).toEqual(6000);
+
+  now.mockReturnValue(11000);
+
+  expect(await store.getBan('key')).toEqual(0);
+
+  now.mockRestore();
+});
+
+test('should acquire and release concurrency leases', async () => {
+  const store = new LocalStore();
+  const now = jest.spyOn(Date, 'now');
+
+  now.mockReturnValue(1000);
+
+  expect(await store.acquire('key', 10, 2, 'a')).toEqual({ current: 1, ttl: 10000 });
+
+  now.mockReturnValue(2000);
+
+  expect(await store.acquire('key', 10, 2, 'b')).toEqual({ current: 2, ttl: 9000 });
+  expect(await store.acquire('key', 10, 2, 'c')).toEqual({ current: 3, ttl: 9000 });
+
+  await store.release('key', 'a');
+
+  expect(await store.acquire('key', 10, 2, 'c')).toEqual({ current: 2, ttl: 10000 });
+
+  // Leases expire.
+  now.mockReturnValue(12000);
+
+  expect(await store.acquire('key', 10, 2, 'd')).toEqual({ current: 1, ttl: 10000 });
+
+  now.mockRestore();
+});
+
+test('should get and reset keys', async () => {
+  const store = new LocalStore();
+  const now = jest.spyOn(Date, 'now');
+
+  now.mockReturnValue(1000);
+
+  expect(await store.get('a:1')).toBeNull();
+
+  await store.increment('a:1', 10, 2);
+  await store.increment('a:2', 10);
+  await store.increment('b:1', 10);
+  await store.slidingWindow('a:3', 10, 5);
+
+  now.mockReturnValue(4000);
+
+  expect(await store.get('a:1')).toEqual({ value: 2, ttl: 7000 });
+  expect((await store.keys('a:')).sort()).toEqual(['a:1', 'a:2', 'a:3']);
+  expect(await store.keys('a:', 2)).toHaveLength(2);
+  expect(await store.get('a:3')).toEqual({ value: { index: 0, current: 1, previous: 0 }, ttl: 16000 });
+
+  expect(await store.reset('a:1')).toEqual(true);
+  expect(await store.reset('a:1')).toEqual(false);
+  expect(await store.get('a:1')).toBeNull();
+
+  expect(await store.resetAll('a:')).toEqual(2);
+  expect(await store.get('a:2')).toBeNull();
+  expect(await store.get('b:1')).toEqual({ value: 1, ttl: 7000 });
+
+  // Expired keys are not returned.
+  now.mockReturnValue(11000);
+
+  expect(await store.get('b:1')).toBeNull();
+
+  now.mockRestore();
+});
+
+describe('snapshots', () => {
+  let dir;
+  let snapshot;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    snapshot = path.join(dir, 'snapshot.json');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    removeDir(dir);
+  });
+
+  test('should save and restore a snapshot', async () => {
+    const now = jest.spyOn(Date, 'now');
+
+    now.mockReturnValue(1000);
+
+    let store = new LocalStore(5000, { snapshot });
+
+    await store.increment('short', 1);
+    await store.increment('long', 60, 3);
+    await store.slidingLog('log', 60, 5);
+    await store.acquire('leases', 60, 5, 'a');
+    await store.ban('banned', 60);
+    await store.close();
+
+    now.mockReturnValue(5000);
+
+    // Expired entries are discarded.
+    store = new LocalStore(5000, { snapshot });
+
+    expect(store._get('short')).toBeUndefined();
+    expect(await store.increment('long', 60)).toEqual({ current: 4, ttl: 56000 });
+    expect(await store.slidingLog('log', 60, 5)).toEqual({ current: 2, ttl: 56000 });
+    // Leases are not restored, so they do not block slots after a restart.
+    expect((await store.acquire('leases', 60, 1, 'b')).current).toEqual(1);
+    expect(await store.getBan('banned')).toEqual(56000);
+  });
+
+  test('should ignore a missing or corrupt snapshot', async () => {
+    let store = new LocalStore(5000, { snapshot });
+
+    expect((await store.increment('key', 60)).current).toEqual(1);
+
+    fs.writeFileSync(snapshot, '{"version":1,"entries":[["key",');
+
+    store = new LocalStore(5000, { snapshot });
+
+    expect((await store.increment('key', 60)).current).toEqual(1);
+  });
 });
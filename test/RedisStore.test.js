@@ -2,6 +2,7 @@
 
 const Redis = require('ioredis');
 const RedisStore = require('../src/stores/RedisStore');
+const { formatKeys } = require('../src/stores/redisAdapters');
 
 let redisClient;
 
@@ -23,12 +24,90 @@ test('should throw if `redis` is not provided', () => {
   }
 });
 
-test('should define a new atomic command for the redis client', () => {
-  expect(redisClient[RedisStore.REDIS_CMD_NAME]).toBeUndefined();
+test('should throw if `redis` client is not supported', () => {
+  expect(() => new RedisStore({})).toThrow('`redis` must be an instance of "ioredis" (`Redis` or `Cluster`) or "redis" (v4) client.');
+});
 
-  const store = new RedisStore(redisClient);
+test('should run scripts with EVALSHA and fall back to EVAL', async () => {
+  const client = {
+    evalsha: jest.fn()
+      .mockRejectedValueOnce(new Error('NOSCRIPT No matching script. Please use EVAL.'))
+      .mockResolvedValue([2, 1000]),
+    eval: jest.fn().mockResolvedValue([1, 1000]),
+    call: jest.fn()
+  };
+
+  const store = new RedisStore(client);
+
+  expect(await store.increment('key', 1)).toEqual({ current: 1, ttl: 1000 });
+  expect(await store.increment('key', 1)).toEqual({ current: 2, ttl: 1000 });
+
+  expect(client.evalsha).toHaveBeenCalledTimes(2);
+  expect(client.evalsha.mock.calls[0]).toEqual([expect.stringMatching(/^[0-9a-f]{40}$/), 1, 'key', 1, 1]);
+  expect(client.eval).toHaveBeenCalledTimes(1);
+  expect(client.eval.mock.calls[0].slice(1)).toEqual([1, 'key', 1, 1]);
+});
+
+test('should not fall back to EVAL on other errors', async () => {
+  const client = {
+    evalsha: jest.fn().mockRejectedValue(new Error('Connection is closed.')),
+    eval: jest.fn(),
+    call: jest.fn()
+  };
+
+  const store = new RedisStore(client);
+
+  await expect(store.increment('key', 1)).rejects.toThrow('Connection is closed.');
+  expect(client.eval).not.toHaveBeenCalled();
+});
+
+test('should support node-redis clients', async () => {
+  const client = {
+    evalSha: jest.fn().mockRejectedValue(new Error('NOSCRIPT No matching script. Please use EVAL.')),
+    eval: jest.fn().mockResolvedValue([1, 1000]),
+    sendCommand: jest.fn().mockResolvedValue(1500)
+  };
+
+  const store = new RedisStore(client);
+
+  expect(await store.increment('key', 1)).toEqual({ current: 1, ttl: 1000 });
+  expect(client.eval.mock.calls[0][1]).toEqual({ keys: ['key'], arguments: ['1', '1'] });
+
+  expect(await store.getBan('key')).toEqual(1500);
+  expect(client.sendCommand).toHaveBeenCalledWith(['pttl', 'key']);
+});
+
+test('should scan keys to reset them by prefix', async () => {
+  const client = {
+    evalSha: jest.fn(),
+    sendCommand: jest.fn(async ([command, cursor]) => {
+      if (command === 'SCAN') {
+        return cursor === '0' ? ['7', ['a:*1', 'a:*2']] : ['0', ['a:*2']];
+      }
+
+      return 1;
+    })
+  };
 
-  expect(redisClient[RedisStore.REDIS_CMD_NAME]).toBeDefined();
+  const store = new RedisStore(client);
+
+  expect(await store.resetAll('a:*')).toEqual(2);
+  expect(client.sendCommand).toHaveBeenCalledWith(['SCAN', '0', 'MATCH', 'a:\\**', 'COUNT', '100']);
+  expect(client.sendCommand).toHaveBeenCalledWith(['SCAN', '7', 'MATCH', 'a:\\**', 'COUNT', '100']);
+  expect(client.sendCommand).toHaveBeenCalledWith(['del', 'a:*1']);
+  expect(client.sendCommand).toHaveBeenCalledWith(['del', 'a:*2']);
+
+  // Scan stops when the limit is reached.
+  client.sendCommand.mockClear();
+
+  expect(await store.keys('a:*', 1)).toEqual(['a:*1']);
+  expect(client.sendCommand).toHaveBeenCalledTimes(1);
+});
+
+test('should keep all keys of a script in the same hash slot', () => {
+  expect(formatKeys(['key'])).toEqual(['key']);
+  expect(formatKeys(['key', 'key:ban'])).toEqual(['key', '{key}key:ban']);
+  expect(formatKeys(['{user}:a', 'b', '{user}:c'])).toEqual(['{user}:a', '{user}b', '{user}:c']);
 });
 
 test('should increment value by key', async () => {
@@ -37,11 +116,13 @@ test('should increment value by key', async () => {
   let cur;
   cur = await store.increment('test-key', 2);
 
-  expect(cur).toEqual(1);
+  expect(cur.current).toEqual(1);
+  expect(cur.ttl).toBeLessThanOrEqual(2000);
+  expect(cur.ttl).toBeGreaterThan(1900);
 
   cur = await store.increment('test-key', 2);
 
-  expect(cur).toEqual(2);
+  expect(cur.current).toEqual(2);
 
   await new Promise(resolve => setTimeout(() => resolve(), 3000));
 
@@ -50,6 +131,22 @@ test('should increment value by key', async () => {
   expect(val).toBeNull();
 });
 
+test('should support fractional time windows', async () => {
+  const store = new RedisStore(redisClient);
+
+  let cur = await store.increment('test-fractional-key', 1.5);
+
+  expect(cur.current).toEqual(1);
+  expect(cur.ttl).toEqual(1500);
+  expect(await redisClient.pttl('test-fractional-key')).toBeGreaterThan(1400);
+
+  cur = await store.acquire('test-fractional-leases', 1.5, 1, 'a');
+
+  expect(cur.current).toEqual(1);
+
+  await redisClient.del('test-fractional-key', 'test-fractional-leases');
+});
+
 test('should throw if redis is unavailable', async () => {
   const store = new RedisStore(redisClient);
 
@@ -57,3 +154,209 @@ test('should throw if redis is unavailable', async () => {
 
   return expect(store.increment('test-key', 2)).rejects.toThrow();
 });
+
+test('should enforce an exact rolling window with sliding log', async () => {
+  const store = new RedisStore(redisClient);
+
+  await redisClient.del('test-log-key');
+
+  let cur;
+  cur = await store.slidingLog('test-log-key', 2, 2);
+
+  expect(cur.current).toEqual(1);
+  expect(cur.ttl).toBeLessThanOrEqual(2000);
+
+  cur = await store.slidingLog('test-log-key', 2, 2);
+
+  expect(cur.current).toEqual(2);
+
+  cur = await store.slidingLog('test-log-key', 2, 2);
+
+  expect(cur.current).toEqual(3);
+  expect(await redisClient.zcard('test-log-key')).toEqual(2);
+
+  await new Promise(resolve => setTimeout(() => resolve(), 2100));
+
+  cur = await store.slidingLog('test-log-key', 2, 2);
+
+  expect(cur.current).toEqual(1);
+});
+
+test('should weight the previous window with sliding window counter', async () => {
+  const store = new RedisStore(redisClient);
+
+  await redisClient.del('test-window-key');
+
+  let cur;
+  cur = await store.slidingWindow('test-window-key', 2, 2);
+
+  expect(cur.current).toEqual(1);
+  expect(cur.ttl).toBeLessThanOrEqual(2000);
+
+  cur = await store.slidingWindow('test-window-key', 2, 2);
+
+  expect(cur.current).toEqual(2);
+
+  cur = await store.slidingWindow('test-window-key', 2, 2);
+
+  expect(cur.current).toEqual(3);
+  expect(await redisClient.hget('test-window-key', 'c')).toEqual('2');
+
+  await new Promise(resolve => setTimeout(() => resolve(), 4100));
+
+  cur = await store.slidingWindow('test-window-key', 2, 2);
+
+  expect(cur.current).toEqual(1);
+});
+
+test('should take tokens from the token bucket', async () => {
+  const store = new RedisStore(redisClient);
+
+  await redisClient.del('test-bucket-key');
+
+  let cur;
+  cur = await store.tokenBucket('test-bucket-key', 2, 1);
+
+  expect(cur.current).toEqual(1);
+  expect(cur.ttl).toBeLessThanOrEqual(1000);
+
+  cur = await store.tokenBucket('test-bucket-key', 2, 1);
+
+  expect(cur.current).toEqual(2);
+
+  cur = await store.tokenBucket('test-bucket-key', 2, 1);
+
+  expect(cur.current).toEqual(3);
+
+  await new Promise(resolve => setTimeout(() => resolve(), 1100));
+
+  cur = await store.tokenBucket('test-bucket-key', 2, 1);
+
+  expect(cur.current).toEqual(2);
+});
+
+test('should space requests out with GCRA', async () => {
+  const store = new RedisStore(redisClient);
+
+  await redisClient.del('test-gcra-key');
+
+  let cur;
+  cur = await store.gcra('test-gcra-key', 2, 2);
+
+  expect(cur.current).toEqual(1);
+  expect(cur.retryAfter).toBeUndefined();
+
+  cur = await store.gcra('test-gcra-key', 2, 2);
+
+  expect(cur.current).toEqual(2);
+
+  cur = await store.gcra('test-gcra-key', 2, 2);
+
+  expect(cur.current).toEqual(3);
+  expect(cur.retryAfter).toBeGreaterThan(900);
+  expect(cur.retryAfter).toBeLessThanOrEqual(1000);
+
+  await new Promise(resolve => setTimeout(() => resolve(), cur.retryAfter + 50));
+
+  cur = await store.gcra('test-gcra-key', 2, 2);
+
+  expect(cur.current).toEqual(2);
+});
+
+test('should increment value by an arbitrary amount', async () => {
+  const store = new RedisStore(redisClient);
+
+  await redisClient.del('test-amount-key');
+
+  let cur;
+  cur = await store.increment('test-amount-key', 2, 3);
+
+  expect(cur.current).toEqual(3);
+
+  cur = await store.increment('test-amount-key', 2, 4);
+
+  expect(cur.current).toEqual(7);
+});
+
+test('should decrement value by key', async () => {
+  const store = new RedisStore(redisClient);
+
+  await redisClient.del('test-decrement-key');
+
+  expect(await store.decrement('test-decrement-key')).toEqual(0);
+  expect(await redisClient.exists('test-decrement-key')).toEqual(0);
+
+  await store.increment('test-decrement-key', 10, 3);
+
+  expect(await store.decrement('test-decrement-key')).toEqual(2);
+  expect(await store.decrement('test-decrement-key', 5)).toEqual(0);
+  expect(await redisClient.pttl('test-decrement-key')).toBeGreaterThan(0);
+});
+
+test('should ban a key', async () => {
+  const store = new RedisStore(redisClient);
+
+  await redisClient.del('test-ban-key');
+
+  expect(await store.getBan('test-ban-key')).toEqual(0);
+
+  await store.ban('test-ban-key', 2);
+
+  let ttl = await store.getBan('test-ban-key');
+
+  expect(ttl).toBeGreaterThan(1900);
+  expect(ttl).toBeLessThanOrEqual(2000);
+});
+
+test('should acquire and release concurrency leases', async () => {
+  const store = new RedisStore(redisClient);
+
+  await redisClient.del('test-lease-key');
+
+  let cur;
+  cur = await store.acquire('test-lease-key', 1, 1, 'a');
+
+  expect(cur.current).toEqual(1);
+
+  cur = await store.acquire('test-lease-key', 1, 1, 'b');
+
+  expect(cur.current).toEqual(2);
+  expect(cur.ttl).toBeLessThanOrEqual(1000);
+
+  await store.release('test-lease-key', 'a');
+
+  cur = await store.acquire('test-lease-key', 1, 1, 'b');
+
+  expect(cur.current).toEqual(1);
+
+  // Leases expire.
+  await new Promise(resolve => setTimeout(() => resolve(), 1050));
+
+  cur = await store.acquire('test-lease-key', 1, 1, 'c');
+
+  expect(cur.current).toEqual(1);
+});
+
+test('should get and reset keys', async () => {
+  const store = new RedisStore(redisClient);
+
+  await redisClient.del('test-reset-key:1', 'test-reset-key:2', 'test-reset-key:3');
+
+  expect(await store.get('test-reset-key:1')).toBeNull();
+
+  await store.increment('test-reset-key:1', 10, 2);
+  await store.increment('test-reset-key:2', 10);
+  await store.slidingWindow('test-reset-key:3', 10, 5);
+
+  let result = await store.get('test-reset-key:1');
+
+  expect(result.value).toEqual(2);
+  expect(result.ttl).toBeLessThanOrEqual(10000);
+  expect((await store.get('test-reset-key:3')).value).toEqual(expect.objectContaining({ c: 1 }));
+  expect((await store.keys('test-reset-key:')).sort()).toEqual(['test-reset-key:1', 'test-reset-key:2', 'test-reset-key:3']);
+
+  expect(await store.reset('test-reset-key:1')).toEqual(true);
+  expect(await store.reset('test-reset-key:1')).toEqual(false);
+  expect(await store.resetAll('test-reset-key:')).toEqual(2);
+  expect(await store.get('test-reset-key:2')).toBeNull();
+});
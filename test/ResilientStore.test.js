@@ -0,0 +1,156 @@
+'use strict';
+
+const LocalStore = require('../src/stores/LocalStore');
+const ResilientStore = require('../src/stores/ResilientStore');
+
+/**
+ * Primary store that fails while `failing` is set.
+ */
+function createPrimaryStore () {
+  const store = {
+    failing: false,
+
+    increment: jest.fn(async (key, ttl, amount = 1) => {
+      if (store.failing) {
+        throw new Error('Connection is closed.');
+      }
+
+      return { current: 100, ttl: 1000 };
+    })
+  };
+
+  return store;
+}
+
+test('should throw if `primary` store is not provided', () => {
+  expect(() => new ResilientStore()).toThrow('`primary` store is required.');
+});
+
+test('should expose only methods supported by both stores', () => {
+  const store = new ResilientStore(createPrimaryStore());
+
+  expect(typeof store.increment).toEqual('function');
+  expect(store.slidingLog).toBeUndefined();
+});
+
+test('should reset keys in both stores', async () => {
+  const primary = createPrimaryStore();
+  const fallback = new LocalStore();
+
+  primary.reset = jest.fn(async () => true);
+
+  const store = new ResilientStore(primary, { fallback });
+
+  await fallback.increment('key', 60);
+
+  expect(await store.reset('key')).toEqual(true);
+  expect(primary.reset).toHaveBeenCalledWith('key');
+  expect(await fallback.get('key')).toBeNull();
+});
+
+test('should switch to the fallback store after repeated errors', async () => {
+  const primary = createPrimaryStore();
+  const store = new ResilientStore(primary, { failureThreshold: 2, coolOff: 10 });
+  const events = [];
+  const now = jest.spyOn(Date, 'now');
+
+  now.mockReturnValue(1000);
+
+  store.on('open', err => events.push(['open', err.message]));
+  store.on('half-open', () => events.push(['half-open']));
+  store.on('closed', () => events.push(['closed']));
+  store.on('failure', () => events.push(['failure']));
+
+  expect((await store.increment('key', 60)).current).toEqual(100);
+
+  primary.failing = true;
+
+  // Failed calls are served by the fallback store.
+  expect((await store.increment('key', 60)).current).toEqual(1);
+  expect(store.state).toEqual('closed');
+  expect((await store.increment('key', 60)).current).toEqual(2);
+  expect(store.state).toEqual('open');
+
+  // Primary store is not called during the cool-off period.
+  expect((await store.increment('key', 60)).current).toEqual(3);
+  expect(primary.increment).toHaveBeenCalledTimes(3);
+
+  // Probe fails, so the cool-off period starts again.
+  now.mockReturnValue(11000);
+
+  expect((await store.increment('key', 60)).current).toEqual(4);
+  expect(store.state).toEqual('open');
+  expect(primary.increment).toHaveBeenCalledTimes(4);
+
+  primary.failing = false;
+  now.mockReturnValue(21000);
+
+  expect((await store.increment('key', 60)).current).toEqual(100);
+  expect(store.state).toEqual('closed');
+
+  expect(events).toEqual([
+    ['failure'],
+    ['failure'],
+    ['open', 'Connection is closed.'],
+    ['half-open'],
+    ['failure'],
+    ['open', 'Connection is closed.'],
+    ['half-open'],
+    ['closed']
+  ]);
+
+  now.mockRestore();
+});
+
+test('should probe the primary store with a single request', async () => {
+  const primary = createPrimaryStore();
+  const store = new ResilientStore(primary, { failureThreshold: 1, coolOff: 10, fallback: new LocalStore() });
+  const now = jest.spyOn(Date, 'now');
+
+  now.mockReturnValue(1000);
+  primary.failing = true;
+
+  await store.increment('key', 60);
+
+  expect(store.state).toEqual('open');
+
+  primary.failing = false;
+  now.mockReturnValue(11000);
+
+  const results = await Promise.all([store.increment('key', 60), store.increment('key', 60)]);
+
+  expect(results.map(result => result.current)).toEqual([100, 2]);
+  expect(store.state).toEqual('closed');
+
+  now.mockRestore();
+});
+
+test('should release leases in the store that acquired them', async () => {
+  const primary = createPrimaryStore();
+  const fallback = new LocalStore();
+
+  primary.acquire = jest.fn(async () => ({ current: 1, ttl: 60000 }));
+  primary.release = jest.fn(async () => {});
+  jest.spyOn(fallback, 'release');
+
+  const store = new ResilientStore(primary, { failureThreshold: 1, coolOff: 10, fallback });
+
+  expect((await store.acquire('leases', 60, 1, 'a')).current).toEqual(1);
+
+  // Primary store is switched off after the lease is acquired.
+  primary.failing = true;
+  await store.increment('key', 60);
+
+  expect(store.state).toEqual('open');
+
+  // Lease acquired by the fallback store is released there.
+  expect((await store.acquire('leases', 60, 1, 'b')).current).toEqual(1);
+
+  await store.release('leases', 'a');
+  await store.release('leases', 'b');
+
+  expect(primary.release).toHaveBeenCalledWith('leases', 'a');
+  expect(primary.release).toHaveBeenCalledTimes(1);
+  expect(fallback.release).toHaveBeenCalledWith('leases', 'b');
+  expect(fallback.release).toHaveBeenCalledTimes(1);
+});
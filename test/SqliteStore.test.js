@@ -0,0 +1,186 @@
+'use strict';
+
+const path = require('path');
+const Database = require('better-sqlite3');
+const SqliteStore = require('../src/stores/SqliteStore');
+const { createTempDir, removeDir } = require('./helpers');
+
+let dir;
+let db;
+
+beforeEach(() => {
+  dir = createTempDir();
+  db = new Database(path.join(dir, 'limiter.db'));
+});
+
+afterEach(() => {
+  db.close();
+  removeDir(dir);
+});
+
+test('should throw if `db` is not provided', () => {
+  expect(() => new SqliteStore()).toThrow('`db` must be an instance of "better-sqlite3" Database.');
+  expect(() => new SqliteStore(db, { table: 'x; DROP TABLE y' })).toThrow('`table` should be a valid SQL identifier.');
+});
+
+test('should increment value by key', async () => {
+  const store = new SqliteStore(db);
+  const now = jest.spyOn(Date, 'now');
+
+  now.mockReturnValue(1000);
+
+  expect(await store.increment('key', 2)).toEqual({ current: 1, ttl: 2000 });
+
+  now.mockReturnValue(1500);
+
+  expect(await store.increment('key', 2, 3)).toEqual({ current: 4, ttl: 1500 });
+
+  now.mockReturnValue(3000);
+
+  expect(await store.increment('key', 2)).toEqual({ current: 1, ttl: 2000 });
+
+  now.mockRestore();
+  await store.close();
+});
+
+test('should keep counters in the database file', async () => {
+  let store = new SqliteStore(db);
+
+  await store.increment('key', 60);
+  await store.increment('key', 60);
+  await store.close();
+
+  db.close();
+  db = new Database(path.join(dir, 'limiter.db'));
+  store = new SqliteStore(db);
+
+  expect((await store.increment('key', 60)).current).toEqual(3);
+
+  await store.close();
+});
+
+test('should decrement value by key', async () => {
+  const store = new SqliteStore(db);
+
+  expect(await store.decrement('key')).toEqual(0);
+
+  await store.increment('key', 10, 3);
+
+  expect(await store.decrement('key')).toEqual(2);
+  expect(await store.decrement('key', 5)).toEqual(0);
+  expect((await store.increment('key', 10)).current).toEqual(1);
+
+  await store.close();
+});
+
+test('should support all algorithms', async () => {
+  const store = new SqliteStore(db);
+  const now = jest.spyOn(Date, 'now');
+
+  now.mockReturnValue(1000);
+
+  // Rejected requests are not counted.
+  expect(await store.slidingLog('log', 10, 5, 3)).toEqual({ current: 3, ttl: 10000 });
+  expect(await store.slidingLog('log', 10, 5, 3)).toEqual({ current: 6, ttl: 10000 });
+  expect(await store.slidingLog('log', 10, 5, 2)).toEqual({ current: 5, ttl: 10000 });
+
+  expect((await store.slidingWindow('window', 10, 5, 3)).current).toEqual(3);
+  expect((await store.slidingWindow('window', 10, 5, 3)).current).toEqual(6);
+  expect((await store.slidingWindow('window', 10, 5, 2)).current).toEqual(5);
+
+  expect(await store.tokenBucket('bucket', 5, 1, 3)).toEqual({ current: 3, ttl: 1000 });
+  expect(await store.tokenBucket('bucket', 5, 1, 3)).toEqual({ current: 6, ttl: 1000, retryAfter: 1000 });
+  expect(await store.tokenBucket('bucket', 5, 1, 2)).toEqual({ current: 5, ttl: 1000 });
+
+  expect(await store.gcra('gcra', 10, 5, 3)).toEqual({ current: 3, ttl: 6000 });
+  expect(await store.gcra('gcra', 10, 5, 3)).toEqual({ current: 6, ttl: 6000, retryAfter: 2000 });
+  expect(await store.gcra('gcra', 10, 5, 2)).toEqual({ current: 5, ttl: 10000 });
+
+  expect(await store.acquire('leases', 10, 1, 'a')).toEqual({ current: 1, ttl: 10000 });
+  expect(await store.acquire('leases', 10, 1, 'b')).toEqual({ current: 2, ttl: 10000 });
+
+  await store.release('leases', 'a');
+
+  expect(await store.acquire('leases', 10, 1, 'b')).toEqual({ current: 1, ttl: 10000 });
+
+  // The sliding log and the sliding window move on.
+  now.mockReturnValue(11000);
+
+  expect(await store.slidingLog('log', 10, 5)).toEqual({ current: 1, ttl: 10000 });
+  expect((await store.slidingWindow('window', 10, 5)).current).toEqual(5);
+
+  now.mockRestore();
+  await store.close();
+});
+
+test('should ban a key', async () => {
+  const store = new SqliteStore(db);
+  const now = jest.spyOn(Date, 'now');
+
+  now.mockReturnValue(1000);
+
+  expect(await store.getBan('key')).toEqual(0);
+
+  await store.ban('key', 10);
+
+  now.mockReturnValue(5000);
+
+  expect(await store.getBan('key')).toEqual(6000);
+
+  now.mockReturnValue(11000);
+
+  expect(await store.getBan('key')).toEqual(0);
+
+  now.mockRestore();
+  await store.close();
+});
+
+test('should get and reset keys', async () => {
+  const store = new SqliteStore(db);
+  const now = jest.spyOn(Date, 'now');
+
+  now.mockReturnValue(1000);
+
+  expect(await store.get('a:1')).toBeNull();
+
+  await store.increment('a:1', 10, 2);
+  await store.increment('a:2', 10);
+  await store.increment('b:1', 10);
+  await store.gcra('a:3', 10, 1);
+
+  now.mockReturnValue(4000);
+
+  expect(await store.get('a:1')).toEqual({ value: 2, ttl: 7000 });
+  expect((await store.keys('a:')).sort()).toEqual(['a:1', 'a:2', 'a:3']);
+  expect(await store.keys('a:', 2)).toHaveLength(2);
+  expect(await store.get('a:3')).toEqual({ value: { tat: 11000 }, ttl: 7000 });
+
+  expect(await store.reset('a:1')).toEqual(true);
+  expect(await store.reset('a:1')).toEqual(false);
+  expect(await store.get('a:1')).toBeNull();
+
+  expect(await store.resetAll('a:')).toEqual(2);
+  expect(await store.get('a:2')).toBeNull();
+  expect(await store.get('b:1')).toEqual({ value: 1, ttl: 7000 });
+
+  now.mockRestore();
+  await store.close();
+});
+
+test('should remove expired rows', async () => {
+  const store = new SqliteStore(db, { cleanupInterval: 0 });
+  const now = jest.spyOn(Date, 'now');
+
+  now.mockReturnValue(1000);
+
+  await store.increment('short', 1);
+  await store.increment('long', 10);
+
+  now.mockReturnValue(5000);
+
+  expect(store.cleanup()).toEqual(1);
+  expect(db.prepare('SELECT key FROM fastify_proper_limiter').all()).toEqual([{ key: 'long' }]);
+
+  now.mockRestore();
+  await store.close();
+});
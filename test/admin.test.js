@@ -0,0 +1,171 @@
+'use strict';
+
+const fastifyFactory = require('fastify');
+const plugin = require('../src/plugin');
+
+let fastify;
+
+beforeEach(() => {
+  fastify = fastifyFactory();
+});
+
+/**
+ * Allows requests with the admin token.
+ */
+function authorize (request) {
+  return request.headers.authorization === 'Bearer admin';
+}
+
+function registerRoutes () {
+  fastify.get('/search', { config: { limiter: { max: 5, per: 60 } } }, (request, reply) => {
+    reply.send('hello world');
+  });
+
+  fastify.get('/users', { config: { limiter: { max: request => 10, per: 60, bucket: 'users' } } }, (request, reply) => {
+    reply.send('hello world');
+  });
+}
+
+test('should throw if the limiter is not registered', async () => {
+  fastify.register(plugin.admin, { authorize });
+
+  await expect(fastify.ready()).rejects.toThrow('"fastify-proper-limiter" should be registered before the admin plugin.');
+});
+
+test('should throw if `authorize` is not a function', async () => {
+  fastify.register(plugin);
+  fastify.register(plugin.admin);
+
+  await expect(fastify.ready()).rejects.toThrow('`authorize` should be a function.');
+});
+
+test('should reject unauthorized requests', async () => {
+  fastify.register(plugin);
+  fastify.register(plugin.admin, { prefix: '/admin', authorize });
+
+  registerRoutes();
+
+  let res = await fastify.inject('/admin/routes');
+
+  expect(res.statusCode).toEqual(401);
+
+  // Other routes are not protected.
+  res = await fastify.inject('/search');
+
+  expect(res.statusCode).toEqual(200);
+});
+
+test('should list limited routes', async () => {
+  fastify.register(plugin);
+  fastify.register(plugin.admin, { prefix: '/admin', authorize });
+
+  registerRoutes();
+
+  const res = await fastify.inject({ url: '/admin/routes', headers: { authorization: 'Bearer admin' } });
+
+  expect(res.statusCode).toEqual(200);
+  expect(JSON.parse(res.body)).toEqual([
+    {
+      method: 'GET',
+      url: '/search',
+      limits: [{ name: 'default', algorithm: 'fixed-window', max: 5, per: 60, cost: 1 }]
+    },
+    {
+      method: 'GET',
+      url: '/users',
+      limits: [{ name: 'default', algorithm: 'fixed-window', bucket: 'users', max: 'dynamic', per: 60, cost: 1 }]
+    }
+  ]);
+});
+
+test('should not limit admin routes', async () => {
+  fastify.register(plugin, { global: true, max: 1, per: 60 });
+  fastify.register(plugin.admin, { prefix: '/admin', authorize });
+
+  registerRoutes();
+
+  const headers = { authorization: 'Bearer admin' };
+
+  for (let i = 0; i < 3; i++) {
+    const res = await fastify.inject({ url: '/admin/routes', headers });
+
+    expect(res.statusCode).toEqual(200);
+    expect(JSON.parse(res.body).map(route => route.url)).toEqual(['/search', '/users']);
+  }
+});
+
+test('should inspect and reset keys', async () => {
+  fastify.register(plugin);
+  fastify.register(plugin.admin, { prefix: '/admin', authorize });
+
+  registerRoutes();
+
+  const key = 'fastify-proper-limiter:GET:/search:127.0.0.1';
+  const headers = { authorization: 'Bearer admin' };
+
+  await fastify.inject('/search');
+  await fastify.inject('/search');
+
+  let res = await fastify.inject({ url: '/admin/key', query: { key }, headers });
+
+  expect(res.statusCode).toEqual(200);
+  expect(JSON.parse(res.body)).toEqual({ key, value: 2, ttl: expect.any(Number) });
+
+  res = await fastify.inject({ method: 'DELETE', url: '/admin/key', query: { key }, headers });
+
+  expect(res.statusCode).toEqual(204);
+
+  res = await fastify.inject({ url: '/admin/key', query: { key }, headers });
+
+  expect(res.statusCode).toEqual(404);
+
+  res = await fastify.inject({ url: '/admin/key', headers });
+
+  expect(res.statusCode).toEqual(400);
+});
+
+test('should show the most used keys', async () => {
+  fastify.register(plugin);
+  fastify.register(plugin.admin, { prefix: '/admin', authorize });
+
+  registerRoutes();
+
+  fastify.get('/login', { config: { limiter: { max: 1, per: 60, ban: { after: 1, within: 60, duration: 600 } } } }, (request, reply) => {
+    reply.send('hello world');
+  });
+
+  await fastify.inject('/search');
+  await fastify.inject('/users');
+  await fastify.inject('/users');
+  await fastify.inject('/users');
+
+  // Bans and overage counters are not ranked.
+  await fastify.inject('/login');
+  await fastify.inject('/login');
+
+  const headers = { authorization: 'Bearer admin' };
+
+  expect(await fastify.limiter.keys('fastify-proper-limiter:GET:/login:')).toEqual(expect.arrayContaining([
+    'fastify-proper-limiter:GET:/login:127.0.0.1:ban',
+    'fastify-proper-limiter:GET:/login:127.0.0.1:overages'
+  ]));
+
+  let res = await fastify.inject({ url: '/admin/top', query: { limit: '1' }, headers });
+
+  expect(res.statusCode).toEqual(200);
+  expect(JSON.parse(res.body)).toEqual([
+    { key: 'fastify-proper-limiter:bucket:users:127.0.0.1', value: 3, ttl: expect.any(Number) }
+  ]);
+
+  res = await fastify.inject({ url: '/admin/top', query: { limit: '1000' }, headers });
+
+  expect(JSON.parse(res.body).map(entry => entry.key)).toEqual([
+    'fastify-proper-limiter:bucket:users:127.0.0.1',
+    'fastify-proper-limiter:GET:/login:127.0.0.1',
+    'fastify-proper-limiter:GET:/search:127.0.0.1'
+  ]);
+
+  res = await fastify.inject({ url: '/admin/top', query: { prefix: 'fastify-proper-limiter:GET:/search' }, headers });
+
+  expect(JSON.parse(res.body).map(entry => entry.key)).toEqual(['fastify-proper-limiter:GET:/search:127.0.0.1']);
+});
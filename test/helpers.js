@@ -0,0 +1,32 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Creates a temporary directory.
+ * @returns {String}
+ */
+function createTempDir () {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'fastify-proper-limiter-'));
+}
+
+/**
+ * Removes a temporary directory with its files. `fs.rmSync` and recursive
+ * `fs.rmdirSync` are not available on Node 10.
+ * @param {String} dir
+ * @returns {void}
+ */
+function removeDir (dir) {
+  for (const file of fs.readdirSync(dir)) {
+    fs.unlinkSync(path.join(dir, file));
+  }
+
+  fs.rmdirSync(dir);
+}
+
+module.exports = {
+  createTempDir,
+  removeDir
+};
@@ -19,6 +19,15 @@ describe('Configuration', () => {
 
   const noopTestStore = new NoopTestStore();
 
+  test('should throw from `fastify.limiter` if the store does not support a method', async () => {
+    fastify.register(plugin, { store: noopTestStore });
+
+    await fastify.ready();
+
+    await expect(fastify.limiter.get('key')).rejects.toThrow('`limiter.store` does not support "get" method.');
+    await expect(fastify.limiter.reset('key')).rejects.toThrow('`limiter.store` does not support "reset" method.');
+  });
+
   test('should not apply rate limiting when no route-level config provided', async () => {
     fastify.register(plugin);
 
@@ -43,7 +52,7 @@ describe('Configuration', () => {
     expect(preHandlerArray.length).toEqual(0);
   });
 
-  test('should throw if `config.limiter` is not an object or a boolean', async () => {
+  test('should throw if `config.limiter` is not an object, an array or a boolean', async () => {
     fastify.register(plugin);
 
     fastify.get(
@@ -65,10 +74,32 @@ describe('Configuration', () => {
     try {
       await fastify.ready();
     } catch (err) {
-      expect(err.message).toEqual('`config.limiter` should be an object or a boolean.');
+      expect(err.message).toEqual('`config.limiter` should be an object, an array or a boolean.');
     }
   });
 
+  test('should not limit routes with a falsy `config.limiter`', async () => {
+    fastify.register(plugin);
+
+    fastify.get('/zero', { config: { limiter: 0 } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    fastify.get('/empty', { config: { limiter: '' } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    let res = await fastify.inject('/zero');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-ratelimit-limit']).toBeUndefined();
+
+    res = await fastify.inject('/empty');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-ratelimit-limit']).toBeUndefined();
+  });
+
   test('should throw if `limiter.store` is not provided', async () => {
     fastify.register(plugin);
 
@@ -181,7 +212,7 @@ describe('Configuration', () => {
     }
   });
 
-  test('should throw if `limiter.per` is not a number', async () => {
+  test('should throw if `limiter.per` is neither a number nor a function', async () => {
     fastify.register(plugin, { store: noopTestStore });
 
     fastify.get(
@@ -205,7 +236,7 @@ describe('Configuration', () => {
     try {
       await fastify.ready();
     } catch (err) {
-      expect(err.message).toEqual('`limiter.per` should be a number.');
+      expect(err.message).toEqual('`limiter.per` should be a number or a function.');
     }
   });
 
@@ -237,23 +268,18 @@ describe('Configuration', () => {
     }
   });
 
-  test('should not override existing "preHandler"', async () => {
+  test('should throw if `limiter.headers` is invalid', async () => {
     fastify.register(plugin, { store: noopTestStore });
 
-    const preHandlerMock = jest.fn();
-
     fastify.get(
       '/test',
 
       {
-        preHandler: async function (request, reply) {
-          preHandlerMock();
-        },
-
         config: {
           limiter: {
-            max: 1,
-            per: 10
+            headers: {
+              limit: 42
+            }
           }
         }
       },
@@ -263,31 +289,53 @@ describe('Configuration', () => {
       }
     );
 
-    let res = await fastify.inject('/test');
+    expect.assertions(1);
 
-    expect(res.statusCode).toEqual(200);
-    expect(preHandlerMock).toHaveBeenCalled();
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.headers.limit` should be a string or `false`.');
+    }
   });
 
-  test('should not override existing "preHandler" array', async () => {
+  test('should throw if `limiter.headersFormat` is unknown', async () => {
     fastify.register(plugin, { store: noopTestStore });
 
-    const preHandlerMock = jest.fn();
-
     fastify.get(
       '/test',
 
       {
-        preHandler: [
-          async function (request, reply) {
-            preHandlerMock();
+        config: {
+          limiter: {
+            headersFormat: 'unknown'
           }
-        ],
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    expect.assertions(1);
+
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.headersFormat` should be one of: legacy, draft, both.');
+    }
+  });
+
+  test('should throw if `limiter.algorithm` is unknown', async () => {
+    fastify.register(plugin, { store: noopTestStore });
+
+    fastify.get(
+      '/test',
 
+      {
         config: {
           limiter: {
-            max: 1,
-            per: 10
+            algorithm: 'unknown'
           }
         }
       },
@@ -297,41 +345,45 @@ describe('Configuration', () => {
       }
     );
 
-    let res = await fastify.inject('/test');
+    expect.assertions(1);
 
-    expect(res.statusCode).toEqual(200);
-    expect(preHandlerMock).toHaveBeenCalled();
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.algorithm` should be one of: fixed-window, sliding-log, sliding-window, token-bucket, gcra, concurrency.');
+    }
   });
-});
 
-describe('Runtime', () => {
-  class LocalTestStore {
-    constructor () {
-      this.val = {};
-      this.ts = {};
-    }
+  test('should throw if `limiter.store` does not support the algorithm', async () => {
+    fastify.register(plugin, { store: noopTestStore });
 
-    async increment (key, ttl) {
-      let val = this.val[key];
-      let ts = this.ts[key];
-      let now = Date.now();
+    fastify.get(
+      '/test',
 
-      if (
-        val === undefined ||
-        (now - ts) >= ttl * 1000
-      ) {
-        this.val[key] = 0;
-        this.ts[key] = now;
+      {
+        config: {
+          limiter: {
+            algorithm: 'sliding-log'
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
       }
+    );
 
-      this.val[key] += 1;
+    expect.assertions(1);
 
-      return this.val[key];
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.store` does not support "sliding-log" algorithm (`slidingLog` method is missing).');
     }
-  }
+  });
 
-  test('should work with default LocalStore', async () => {
-    fastify.register(plugin);
+  test('should throw if `limiter.capacity` or `limiter.refillRate` is invalid', async () => {
+    fastify.register(plugin, { store: noopTestStore });
 
     fastify.get(
       '/test',
@@ -339,8 +391,8 @@ describe('Runtime', () => {
       {
         config: {
           limiter: {
-            max: 2,
-            per: 10
+            algorithm: 'token-bucket',
+            refillRate: 0
           }
         }
       },
@@ -350,67 +402,115 @@ describe('Runtime', () => {
       }
     );
 
-    let res;
-    res = await fastify.inject('/test');
-
-    expect(res.statusCode).toEqual(200);
+    expect.assertions(1);
 
-    res = await fastify.inject('/test');
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.refillRate` should be a positive number.');
+    }
+  });
 
-    expect(res.statusCode).toEqual(200);
+  test('should throw if `exclude` is not an array', async () => {
+    fastify.register(plugin, { global: true, exclude: '/health' });
 
-    res = await fastify.inject('/test');
+    expect.assertions(1);
 
-    expect(res.statusCode).toEqual(403);
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`exclude` should be an array.');
+    }
   });
 
-  test('should work with Custom Store', async () => {
-    expect.assertions(8);
+  test('should throw if `metrics` options are invalid', async () => {
+    for (const [metrics, message] of [
+      ['yes', '`metrics` should be a boolean or an object.'],
+      [{ endpoint: 'metrics' }, '`metrics.endpoint` should be a path string.'],
+      [{ buckets: [0.1, 0.05] }, '`metrics.buckets` should be a non-empty array of increasing positive numbers.']
+    ]) {
+      const instance = fastifyFactory();
 
-    class LocalTestCustomStore {
-      constructor () {
-        this.val = {};
-        this.ts = {};
-      }
+      instance.register(plugin, { metrics });
 
-      async increment (key, ttl) {
-        expect(key).toEqual('testStaticKey');
-        expect(ttl).toEqual(10);
+      await expect(instance.ready()).rejects.toThrow(message);
+    }
 
-        let val = this.val[key];
-        let ts = this.ts[key];
-        let now = Date.now();
+    fastify.register(plugin);
 
-        if (
-          val === undefined ||
-          (now - ts) >= ttl * 1000
-        ) {
-          this.val[key] = 0;
-          this.ts[key] = now;
-        }
+    await fastify.ready();
 
-        this.val[key] += 1;
+    expect(() => fastify.limiter.getMetrics()).toThrow('`metrics` option is disabled.');
+  });
 
-        return this.val[key];
-      }
-    }
+  test('should throw if lifecycle callbacks are not functions', async () => {
+    fastify.register(plugin, { onExceeded: true });
 
-    let customTestStore = new LocalTestCustomStore();
+    fastify.get('/test', { config: { limiter: true } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    await expect(fastify.ready()).rejects.toThrow('`limiter.onExceeded` should be a function.');
+  });
 
+  test('should apply rate limiting to every route in global mode', async () => {
     fastify.register(plugin, {
-      store: customTestStore,
-      storeKeyGenerator: () => 'testStaticKey'
+      store: noopTestStore,
+      global: true,
+
+      exclude: [
+        '/health',
+        /^\/static\//,
+        { url: '/webhook', method: 'POST' },
+        { method: ['OPTIONS'] }
+      ]
     });
 
+    const routes = [
+      { method: 'GET', url: '/test', limited: true },
+      { method: 'GET', url: '/opt-out', limited: false, config: { limiter: false } },
+      { method: 'GET', url: '/health', limited: false },
+      { method: 'GET', url: '/static/app.js', limited: false },
+      { method: 'POST', url: '/webhook', limited: false },
+      { method: 'GET', url: '/webhook', limited: true },
+      { method: 'OPTIONS', url: '/test', limited: false },
+      { method: ['GET', 'OPTIONS'], url: '/both', limited: true }
+    ];
+
+    for (const route of routes) {
+      route.preHandler = [];
+
+      fastify.route({
+        method: route.method,
+        url: route.url,
+        config: route.config,
+        preHandler: route.preHandler,
+
+        handler: (request, reply) => {
+          reply.send('hello world');
+        }
+      });
+    }
+
+    await fastify.ready();
+
+    for (const route of routes) {
+      expect(route.preHandler.length).toEqual(route.limited ? 1 : 0);
+    }
+  });
+
+  test('should throw if stacked limit names are not unique', async () => {
+    fastify.register(plugin, { store: noopTestStore });
+
     fastify.get(
       '/test',
 
       {
         config: {
-          limiter: {
-            max: 1,
-            per: 10
-          }
+          limiter: [
+            { name: 'burst', max: 10, per: 1 },
+            { name: 'burst', max: 1000, per: 3600 }
+          ]
         }
       },
 
@@ -419,22 +519,17 @@ describe('Runtime', () => {
       }
     );
 
-    let res;
-    res = await fastify.inject('/test');
-
-    expect(res.statusCode).toEqual(200);
-    expect(customTestStore.val['testStaticKey']).toEqual(1);
-
-    res = await fastify.inject('/test');
+    expect.assertions(1);
 
-    expect(res.statusCode).toEqual(403);
-    expect(customTestStore.val['testStaticKey']).toEqual(2);
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.name` should be unique per route.');
+    }
   });
 
-  test('should override default "errorResponseGenerator"', async () => {
-    expect.assertions(8);
-
-    fastify.register(plugin, { store: new LocalTestStore() });
+  test('should throw if `limiter.cost` is invalid', async () => {
+    fastify.register(plugin, { store: noopTestStore });
 
     fastify.get(
       '/test',
@@ -442,22 +537,7 @@ describe('Runtime', () => {
       {
         config: {
           limiter: {
-            max: 1,
-            per: 10,
-
-            errorResponseGenerator: (request, context) => {
-              expect(request).toBeInstanceOf(fastify[fastifySymbols.kRequest]);
-              expect(context.max).toEqual(1);
-              expect(context.per).toEqual(10);
-              expect(context.url).toEqual('/test');
-              expect(context.method).toEqual('GET');
-
-              let err = new Error('Custom error message.');
-
-              err.statusCode = 429;
-
-              return err;
-            }
+            cost: 1.5
           }
         }
       },
@@ -467,21 +547,17 @@ describe('Runtime', () => {
       }
     );
 
-    let res;
-    res = await fastify.inject('/test');
-
-    expect(res.statusCode).toEqual(200);
-
-    res = await fastify.inject('/test');
+    expect.assertions(1);
 
-    expect(res.statusCode).toEqual(429);
-    expect(res.json().message).toEqual('Custom error message.');
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.cost` should be a positive integer or a function.');
+    }
   });
 
-  test('should support "whitelisting" (ignore)', async () => {
-    expect.assertions(12);
-
-    fastify.register(plugin, { store: new LocalTestStore() });
+  test('should throw if refunds are not supported by the algorithm', async () => {
+    fastify.register(plugin);
 
     fastify.get(
       '/test',
@@ -489,16 +565,8 @@ describe('Runtime', () => {
       {
         config: {
           limiter: {
-            max: 1,
-            per: 10,
-
-            storeKeyGenerator: () => 'testStaticKey',
-            ignore: (request, storeKey) => {
-              expect(request).toBeInstanceOf(fastify[fastifySymbols.kRequest]);
-              expect(storeKey).toEqual('testStaticKey');
-
-              return request.headers['x-skip-limiter'] !== undefined;
-            }
+            algorithm: 'gcra',
+            skipFailedRequests: true
           }
         }
       },
@@ -508,78 +576,2020 @@ describe('Runtime', () => {
       }
     );
 
-    let res;
+    expect.assertions(1);
+
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('Refunds (`limiter.skipSuccessfulRequests`, `limiter.skipFailedRequests`, `limiter.shouldCount`) are not supported by "gcra" algorithm.');
+    }
+  });
+
+  test('should throw if `limiter.store` does not support refunds', async () => {
+    fastify.register(plugin, { store: noopTestStore });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            skipSuccessfulRequests: true
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    expect.assertions(1);
+
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.store` does not support refunds (`decrement` method is missing).');
+    }
+  });
+
+  test('should throw if `limiter.ban` is invalid', async () => {
+    fastify.register(plugin);
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            ban: { after: 3, within: 60 }
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    expect.assertions(1);
+
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.ban` should be an object with positive `after`, `within` and `duration` numbers.');
+    }
+  });
+
+  test('should throw if `limiter.store` does not support bans', async () => {
+    fastify.register(plugin, { store: noopTestStore });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            ban: { after: 3, within: 60, duration: 600 }
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    expect.assertions(1);
+
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.store` does not support bans (`ban`, `getBan` and `increment` methods are required).');
+    }
+  });
+
+  test('should throw if a shared bucket is defined differently', async () => {
+    fastify.register(plugin);
+
+    fastify.get('/search/users', { config: { limiter: { bucket: 'search', max: 10, per: 60 } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    fastify.get('/search/posts', { config: { limiter: { bucket: 'search', max: 20 } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    expect.assertions(1);
+
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.max` conflicts with the definition of "search" bucket.');
+    }
+  });
+
+  test('should throw if `limiter.bucket` is invalid', async () => {
+    fastify.register(plugin);
+
+    fastify.get('/test', { config: { limiter: { bucket: '' } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    expect.assertions(1);
+
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.bucket` should be a non-empty string.');
+    }
+  });
+
+  test('should throw if `limiter.cost` is used with "concurrency" algorithm', async () => {
+    fastify.register(plugin);
+
+    fastify.get('/test', { config: { limiter: { algorithm: 'concurrency', cost: 2 } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    expect.assertions(1);
+
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.cost` is not supported by "concurrency" algorithm.');
+    }
+  });
+
+  test('should throw if `limiter.store` cannot release concurrency leases', async () => {
+    fastify.register(plugin, { store: { acquire: async () => 1 } });
+
+    fastify.get('/test', { config: { limiter: { algorithm: 'concurrency' } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    expect.assertions(1);
+
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.store` does not support "concurrency" algorithm (`release` method is missing).');
+    }
+  });
+
+  test('should throw if slow-down options are invalid', async () => {
+    fastify.register(plugin);
+
+    fastify.get('/test', { config: { limiter: { delayAfter: -1 } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    expect.assertions(1);
+
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.delayAfter` should be a non-negative integer.');
+    }
+  });
+
+  test('should throw if `limiter.queue` is invalid', async () => {
+    fastify.register(plugin);
+
+    fastify.get('/test', { config: { limiter: { queue: { maxLength: 10 } } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    expect.assertions(1);
+
+    try {
+      await fastify.ready();
+    } catch (err) {
+      expect(err.message).toEqual('`limiter.queue` should be an object with positive `maxLength` and `maxWait` numbers.');
+    }
+  });
+
+  test('should not override existing "preHandler"', async () => {
+    fastify.register(plugin, { store: noopTestStore });
+
+    const preHandlerMock = jest.fn();
+
+    fastify.get(
+      '/test',
+
+      {
+        preHandler: async function (request, reply) {
+          preHandlerMock();
+        },
+
+        config: {
+          limiter: {
+            max: 1,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+    expect(preHandlerMock).toHaveBeenCalled();
+  });
+
+  test('should not override existing "preHandler" array', async () => {
+    fastify.register(plugin, { store: noopTestStore });
+
+    const preHandlerMock = jest.fn();
+
+    fastify.get(
+      '/test',
+
+      {
+        preHandler: [
+          async function (request, reply) {
+            preHandlerMock();
+          }
+        ],
+
+        config: {
+          limiter: {
+            max: 1,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+    expect(preHandlerMock).toHaveBeenCalled();
+  });
+});
+
+describe('Runtime', () => {
+  class LocalTestStore {
+    constructor () {
+      this.val = {};
+      this.ts = {};
+    }
+
+    async increment (key, ttl) {
+      let val = this.val[key];
+      let ts = this.ts[key];
+      let now = Date.now();
+
+      if (
+        val === undefined ||
+        (now - ts) >= ttl * 1000
+      ) {
+        this.val[key] = 0;
+        this.ts[key] = now;
+      }
+
+      this.val[key] += 1;
+
+      return this.val[key];
+    }
+  }
+
+  test('should work with default LocalStore', async () => {
+    fastify.register(plugin);
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 2,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test('should work with Custom Store', async () => {
+    expect.assertions(8);
+
+    class LocalTestCustomStore {
+      constructor () {
+        this.val = {};
+        this.ts = {};
+      }
+
+      async increment (key, ttl) {
+        expect(key).toEqual('testStaticKey');
+        expect(ttl).toEqual(10);
+
+        let val = this.val[key];
+        let ts = this.ts[key];
+        let now = Date.now();
+
+        if (
+          val === undefined ||
+          (now - ts) >= ttl * 1000
+        ) {
+          this.val[key] = 0;
+          this.ts[key] = now;
+        }
+
+        this.val[key] += 1;
+
+        return this.val[key];
+      }
+    }
+
+    let customTestStore = new LocalTestCustomStore();
+
+    fastify.register(plugin, {
+      store: customTestStore,
+      storeKeyGenerator: () => 'testStaticKey'
+    });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+    expect(customTestStore.val['testStaticKey']).toEqual(1);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+    expect(customTestStore.val['testStaticKey']).toEqual(2);
+  });
+
+  test('should override default "errorResponseGenerator"', async () => {
+    expect.assertions(8);
+
+    fastify.register(plugin, { store: new LocalTestStore() });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 10,
+
+            errorResponseGenerator: (request, context) => {
+              expect(request).toBeInstanceOf(fastify[fastifySymbols.kRequest]);
+              expect(context.max).toEqual(1);
+              expect(context.per).toEqual(10);
+              expect(context.url).toEqual('/test');
+              expect(context.method).toEqual('GET');
+
+              let err = new Error('Custom error message.');
+
+              err.statusCode = 429;
+
+              return err;
+            }
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(429);
+    expect(res.json().message).toEqual('Custom error message.');
+  });
+
+  test('should support "whitelisting" (ignore)', async () => {
+    expect.assertions(12);
+
+    fastify.register(plugin, { store: new LocalTestStore() });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 10,
+
+            storeKeyGenerator: () => 'testStaticKey',
+            ignore: (request, storeKey) => {
+              expect(request).toBeInstanceOf(fastify[fastifySymbols.kRequest]);
+              expect(storeKey).toEqual('testStaticKey');
+
+              return request.headers['x-skip-limiter'] !== undefined;
+            }
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+
+    res = await fastify.inject({
+      url: '/test',
+      headers: {
+        'x-skip-limiter': '1'
+      }
+    });
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test('should support async "whitelisting" (ignore)', async () => {
+    fastify.register(plugin, { store: new LocalTestStore() });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 10,
+
+            ignore: async (request) => {
+              return request.headers['x-skip-limiter'] !== undefined;
+            }
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+
+    res = await fastify.inject({
+      url: '/test',
+      headers: {
+        'x-skip-limiter': '1'
+      }
+    });
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test('should work with some basic "max" and "per" values', async () => {
+    fastify.register(plugin, { store: new LocalTestStore() });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 2,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test('should support dynamic "max" (sync function)', async () => {
+    fastify.register(plugin, { store: new LocalTestStore() });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: () => 1,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test('should support dynamic "max" (async function)', async () => {
+    fastify.register(plugin, { store: new LocalTestStore() });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: async () => 1,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test('should not let requests through if dynamic "max" fails', async () => {
+    fastify.register(plugin, { store: new LocalTestStore() });
+
+    fastify.get('/test', { config: { limiter: { max: async () => { throw new Error('Plan lookup failed.'); }, per: 10 } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    fastify.get('/invalid', { config: { limiter: { max: () => 'unlimited', per: 10 } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    fastify.get('/skipped', { config: { limiter: { max: async () => { throw new Error('Plan lookup failed.'); }, per: 10, skipOnError: true } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    const statuses = [];
+
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await fastify.inject('/test')).statusCode);
+    }
+
+    expect(statuses).toEqual([500, 500, 500]);
+
+    let res = await fastify.inject('/test');
+
+    expect(res.json().message).toEqual('Plan lookup failed.');
+
+    res = await fastify.inject('/invalid');
+
+    expect(res.statusCode).toEqual(500);
+    expect(res.json().message).toEqual('`limiter.max` should resolve to a non-negative number.');
+
+    res = await fastify.inject('/skipped');
+
+    expect(res.statusCode).toEqual(200);
+  });
+
+  test('should not let requests through if dynamic "per" fails', async () => {
+    fastify.register(plugin, { store: new LocalTestStore() });
+
+    fastify.get('/test', { config: { limiter: { max: 1, per: async () => { throw new Error('Plan lookup failed.'); } } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    fastify.get('/invalid', { config: { limiter: { max: 1, per: () => undefined } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    fastify.get('/skipped', { config: { limiter: { max: 1, per: () => NaN, skipOnError: true } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    let res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(500);
+    expect(res.json().message).toEqual('Plan lookup failed.');
+
+    res = await fastify.inject('/invalid');
+
+    expect(res.statusCode).toEqual(500);
+    expect(res.json().message).toEqual('`limiter.per` should resolve to a positive number.');
+
+    for (let i = 0; i < 3; i++) {
+      res = await fastify.inject('/skipped');
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.headers['x-ratelimit-limit']).toBeUndefined();
+    }
+  });
+
+  test('should support dynamic "max" (basic)', async () => {
+    fastify.register(plugin, { store: new LocalTestStore() });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            storeKeyGenerator: request => request.headers['api-key'],
+            max: (request, key) => key === 'pro' ? 2 : 1,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    const requests = [
+      { headers: { 'api-key': 'pro' }, status: 200 },
+      { headers: { 'api-key': 'pro' }, status: 200 },
+      { headers: { 'api-key': 'pro' }, status: 403 },
+      { headers: { 'api-key': 'non-pro' }, status: 200 },
+      { headers: { 'api-key': 'non-pro' }, status: 403 }
+    ];
+
+    for (const request of requests) {
+      let res = await fastify.inject({
+        url: '/test',
+        headers: request.headers
+      });
+
+      expect(res.statusCode).toEqual(request.status);
+    }
+  });
+
+  test('should override default "storeKeyGenerator"', async () => {
+    expect.assertions(4);
+
+    const localTestStore = new LocalTestStore();
+
+    fastify.register(plugin, {
+      store: localTestStore,
+
+      storeKeyGenerator: (request, routeConfig) => {
+        expect(request).toBeInstanceOf(fastify[fastifySymbols.kRequest]);
+        expect(routeConfig.url).toEqual('/test');
+        expect(routeConfig.method).toEqual('GET');
+
+        return 'testKey';
+      }
+    });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    await fastify.inject('/test');
+
+    expect(localTestStore.val['testKey']).toBeDefined();
+  });
+
+  test('should support skipping limiter if Store error occurred', async () => {
+    class TestErrorStore {
+      async increment () {
+        throw new Error('Test "skipOnError"');
+      }
+    }
+
+    fastify.register(plugin, { store: new TestErrorStore() });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    fastify.get(
+      '/test-skip',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 10,
+            skipOnError: true
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(500);
+    expect(res.json().message).toEqual('Test "skipOnError"');
+
+    res = await fastify.inject('/test-skip');
+
+    expect(res.statusCode).toEqual(200);
+  });
+
+  test('should use globally defined options when `limiter` is "true"', async () => {
+    const localTestStore = new LocalTestStore();
+
+    fastify.register(plugin, {
+      store: localTestStore,
+      storeKeyGenerator: () => 'testGlobalStaticKey'
+    });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: true
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    await fastify.inject('/test');
+
+    expect(localTestStore.val['testGlobalStaticKey']).toBeDefined();
+  });
+
+  test('should send rate limit headers', async () => {
+    fastify.register(plugin);
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-ratelimit-limit']).toEqual('1');
+    expect(res.headers['x-ratelimit-remaining']).toEqual('0');
+    expect(res.headers['x-ratelimit-reset']).toEqual('10');
+    expect(res.headers['retry-after']).toBeUndefined();
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.headers['x-ratelimit-limit']).toEqual('1');
+    expect(res.headers['x-ratelimit-remaining']).toEqual('0');
+    expect(res.headers['x-ratelimit-reset']).toEqual('10');
+    expect(res.headers['retry-after']).toEqual('10');
+  });
+
+  test('should support custom and disabled headers', async () => {
+    fastify.register(plugin, {
+      headers: {
+        limit: 'RateLimit-Limit'
+      }
+    });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 10,
+
+            headers: {
+              reset: false
+            }
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    fastify.get(
+      '/test-no-headers',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 10,
+            headers: false
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+
+    expect(res.headers['ratelimit-limit']).toEqual('1');
+    expect(res.headers['x-ratelimit-limit']).toBeUndefined();
+    expect(res.headers['x-ratelimit-remaining']).toEqual('0');
+    expect(res.headers['x-ratelimit-reset']).toBeUndefined();
+
+    res = await fastify.inject('/test-no-headers');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['ratelimit-limit']).toBeUndefined();
+    expect(res.headers['x-ratelimit-remaining']).toBeUndefined();
+  });
+
+  test('should report the whole time window as reset if Store returns a number', async () => {
+    fastify.register(plugin, { store: new LocalTestStore() });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 30
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.headers['x-ratelimit-reset']).toEqual('30');
+    expect(res.headers['retry-after']).toEqual('30');
+  });
+
+  test('should send draft RateLimit and RateLimit-Policy headers', async () => {
+    fastify.register(plugin, { headersFormat: 'draft' });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 2,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    fastify.get(
+      '/test-both',
+
+      {
+        config: {
+          limiter: {
+            max: 2,
+            per: 10,
+            headersFormat: 'both'
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+
+    expect(res.headers['ratelimit-policy']).toEqual('"default";q=2;w=10');
+    expect(res.headers['ratelimit']).toEqual('"default";r=1;t=10');
+    expect(res.headers['x-ratelimit-limit']).toBeUndefined();
+
+    await fastify.inject('/test');
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.headers['ratelimit']).toEqual('"default";r=0;t=10');
+    expect(res.headers['retry-after']).toEqual('10');
+
+    res = await fastify.inject('/test-both');
+
+    expect(res.headers['ratelimit-policy']).toEqual('"default";q=2;w=10');
+    expect(res.headers['ratelimit']).toEqual('"default";r=1;t=10');
+    expect(res.headers['x-ratelimit-limit']).toEqual('2');
+    expect(res.headers['x-ratelimit-remaining']).toEqual('1');
+  });
+
+  test('should support "sliding-log" algorithm', async () => {
+    fastify.register(plugin, { algorithm: 'sliding-log' });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 2,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    const now = jest.spyOn(Date, 'now');
+
+    let res;
+
+    now.mockReturnValue(1000);
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    now.mockReturnValue(9000);
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    // A fixed window would have been reset by now.
+    now.mockReturnValue(11500);
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.headers['retry-after']).toEqual('8');
+
+    now.mockRestore();
+  });
+
+  test('should support "sliding-window" algorithm per route', async () => {
+    fastify.register(plugin);
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            algorithm: 'sliding-window',
+            max: 2,
+            per: 10
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    const now = jest.spyOn(Date, 'now');
+
+    let res;
+
+    now.mockReturnValue(19000);
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    // 90% of the previous window overlaps with the rolling window,
+    // so only one more request is allowed.
+    now.mockReturnValue(21000);
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.headers['x-ratelimit-reset']).toEqual('9');
+
+    now.mockReturnValue(26000);
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    now.mockRestore();
+  });
+
+  test('should support "token-bucket" algorithm', async () => {
+    fastify.register(plugin);
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            algorithm: 'token-bucket',
+            capacity: 2,
+            refillRate: 0.5,
+            headersFormat: 'both'
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    const now = jest.spyOn(Date, 'now');
+
+    let res;
+
+    now.mockReturnValue(1000);
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-ratelimit-limit']).toEqual('2');
+    expect(res.headers['x-ratelimit-remaining']).toEqual('1');
+    expect(res.headers['x-ratelimit-reset']).toEqual('2');
+    expect(res.headers['ratelimit-policy']).toEqual('"default";q=2;w=4');
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    now.mockReturnValue(2000);
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.headers['x-ratelimit-remaining']).toEqual('0');
+    expect(res.headers['retry-after']).toEqual('1');
+
+    now.mockReturnValue(3000);
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    now.mockRestore();
+  });
+
+  test('should use "max" and "per" as token bucket defaults', async () => {
+    fastify.register(plugin, { algorithm: 'token-bucket' });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 3,
+            per: 30
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res = await fastify.inject('/test');
+
+    expect(res.headers['x-ratelimit-limit']).toEqual('3');
+    expect(res.headers['x-ratelimit-remaining']).toEqual('2');
+    expect(res.headers['x-ratelimit-reset']).toEqual('10');
+  });
+
+  test('should pass GCRA retry-after to "errorResponseGenerator"', async () => {
+    expect.assertions(6);
+
+    fastify.register(plugin);
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            algorithm: 'gcra',
+            max: 2,
+            per: 10,
+
+            errorResponseGenerator: (request, context) => {
+              expect(context.reset).toEqual(10);
+              expect(context.retryAfter).toEqual(5);
+
+              let err = new Error('Custom error message.');
+
+              err.statusCode = 429;
+
+              return err;
+            }
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    const now = jest.spyOn(Date, 'now');
+
+    let res;
+
+    now.mockReturnValue(1000);
+    res = await fastify.inject('/test');
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(429);
+    expect(res.headers['retry-after']).toEqual('5');
+
+    now.mockReturnValue(6000);
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    now.mockRestore();
+  });
+
+  test('should support multiple stacked limits', async () => {
+    expect.assertions(12);
+
+    const localTestStore = new LocalTestStore();
+
+    fastify.register(plugin, {
+      store: localTestStore,
+      headersFormat: 'both',
+      storeKeyGenerator: () => 'testStaticKey'
+    });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: [
+            {
+              name: 'burst',
+              max: 2,
+              per: 1
+            },
+
+            {
+              name: 'hourly',
+              max: 3,
+              per: 3600,
+
+              errorResponseGenerator: (request, context) => {
+                expect(context.limit).toEqual('hourly');
+                expect(context.max).toEqual(3);
+
+                let err = new Error('Hourly limit exceeded.');
+
+                err.statusCode = 429;
+
+                return err;
+              }
+            }
+          ]
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    const now = jest.spyOn(Date, 'now');
+
+    let res;
+
+    now.mockReturnValue(1000);
+    res = await fastify.inject('/test');
+
+    expect(res.headers['ratelimit-policy']).toEqual('"burst";q=2;w=1, "hourly";q=3;w=3600');
+    expect(res.headers['ratelimit']).toEqual('"burst";r=1;t=1, "hourly";r=2;t=3600');
+    expect(localTestStore.val['testStaticKey:burst']).toEqual(1);
+    expect(localTestStore.val['testStaticKey:hourly']).toEqual(1);
+
+    await fastify.inject('/test');
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.headers['x-ratelimit-limit']).toEqual('2');
+
+    now.mockReturnValue(2000);
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(429);
+    expect(res.headers['x-ratelimit-limit']).toEqual('3');
+    expect(res.headers['ratelimit']).toEqual('"burst";r=1;t=1, "hourly";r=0;t=3600');
+    expect(res.json().message).toEqual('Hourly limit exceeded.');
+
+    now.mockRestore();
+  });
+
+  test('should support globally defined stacked limits', async () => {
+    const localTestStore = new LocalTestStore();
+
+    fastify.register(plugin, {
+      store: localTestStore,
+      storeKeyGenerator: () => 'testStaticKey',
+
+      limits: [
+        { max: 1, per: 1 },
+        { max: 100, per: 3600 }
+      ]
+    });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 5
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-ratelimit-limit']).toEqual('5');
+    expect(localTestStore.val['testStaticKey:0']).toEqual(1);
+    expect(localTestStore.val['testStaticKey:1']).toEqual(1);
+    expect(localTestStore.ts['testStaticKey:1']).toBeDefined();
+  });
+
+  test('should support dynamic "per" (sync function)', async () => {
+    expect.assertions(5);
+
+    fastify.register(plugin);
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            storeKeyGenerator: request => request.headers['api-key'],
+            max: 1,
+            per: (request, key) => key === 'pro' ? 10 : 60,
+
+            errorResponseGenerator: (request, context) => {
+              expect(context.per).toEqual(10);
+
+              let err = new Error('Rate limit exceeded.');
+
+              err.statusCode = 429;
+
+              return err;
+            }
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject({ url: '/test', headers: { 'api-key': 'pro' } });
+
+    expect(res.headers['x-ratelimit-reset']).toEqual('10');
+
+    res = await fastify.inject({ url: '/test', headers: { 'api-key': 'pro' } });
+
+    expect(res.statusCode).toEqual(429);
+
+    res = await fastify.inject({ url: '/test', headers: { 'api-key': 'non-pro' } });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-ratelimit-reset']).toEqual('60');
+  });
+
+  test('should support dynamic "per" (async function)', async () => {
+    fastify.register(plugin, { store: new LocalTestStore() });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: async () => 30
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.headers['retry-after']).toEqual('30');
+  });
+
+  test('should charge a configurable cost per request', async () => {
+    fastify.register(plugin);
+
+    fastify.get(
+      '/export',
+
+      {
+        config: {
+          limiter: {
+            max: 10,
+            per: 60,
+            cost: 4
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    fastify.get(
+      '/search',
+
+      {
+        config: {
+          limiter: {
+            algorithm: 'token-bucket',
+            max: 10,
+            per: 60,
+            cost: async request => Number(request.query.size) > 50 ? 5 : 1
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/export');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-ratelimit-remaining']).toEqual('6');
+
+    res = await fastify.inject('/export');
+
+    expect(res.headers['x-ratelimit-remaining']).toEqual('2');
+
+    res = await fastify.inject('/export');
+
+    expect(res.statusCode).toEqual(403);
+
+    res = await fastify.inject('/search?size=100');
+    res = await fastify.inject('/search?size=100');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-ratelimit-remaining']).toEqual('0');
+
+    res = await fastify.inject('/search?size=100');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.headers['retry-after']).toEqual('30');
+  });
+
+  test('should not charge requests that overflow the remaining budget', async () => {
+    fastify.register(plugin);
+
+    fastify.get(
+      '/export',
+
+      {
+        config: {
+          limiter: {
+            max: 10,
+            per: 60,
+            cost: request => Number(request.query.cost)
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    fastify.get(
+      '/import',
+
+      {
+        config: {
+          limiter: {
+            max: 10,
+            per: 60,
+            cost: request => Number(request.query.cost),
+            skipFailedRequests: true
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    const key = 'fastify-proper-limiter:GET:/export:127.0.0.1';
+
+    let res = await fastify.inject('/export?cost=5');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/export?cost=10');
+
+    expect(res.statusCode).toEqual(403);
+    expect((await fastify.limiter.get(key)).value).toEqual(5);
+
+    res = await fastify.inject('/export?cost=1');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-ratelimit-remaining']).toEqual('4');
+    expect((await fastify.limiter.get(key)).value).toEqual(6);
+ 
+    // Overflowing requests are not given back twice.
+    await fastify.inject('/import?cost=5');
+    await fastify.inject('/import?cost=10');
+
+    expect((await fastify.limiter.get('fastify-proper-limiter:GET:/import:127.0.0.1')).value).toEqual(5);
+  });
+
+  test('should throw if dynamic "cost" is not a positive integer', async () => {
+    fastify.register(plugin, { store: new LocalTestStore() });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            cost: () => -1
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    fastify.get(
+      '/skipped',
+
+      {
+        config: {
+          limiter: {
+            cost: () => {
+              throw new Error('Cost lookup failed.');
+            },
+            skipOnError: true
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(500);
+    expect(res.json().message).toEqual('`limiter.cost` should resolve to a positive integer.');
+
+    res = await fastify.inject('/skipped');
+
+    expect(res.statusCode).toEqual(200);
+  });
+
+  test('should refund successful requests', async () => {
+    fastify.register(plugin);
+
+    fastify.post(
+      '/login',
+
+      {
+        config: {
+          limiter: {
+            max: 2,
+            per: 60,
+            skipSuccessfulRequests: true
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.code(request.body.password === 'secret' ? 200 : 401).send();
+      }
+    );
+
+    const login = password => fastify.inject({ method: 'POST', url: '/login', payload: { password } });
+
+    let res;
+
+    for (let i = 0; i < 5; i++) {
+      res = await login('secret');
+
+      expect(res.statusCode).toEqual(200);
+    }
+
+    res = await login('wrong');
+
+    expect(res.statusCode).toEqual(401);
+
+    res = await login('wrong');
+
+    expect(res.statusCode).toEqual(401);
+
+    res = await login('secret');
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test('should refund failed requests', async () => {
+    fastify.register(plugin);
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 60,
+            skipFailedRequests: true
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.code(request.query.fail ? 500 : 200).send();
+      }
+    );
+
+    let res;
+    res = await fastify.inject('/test?fail=1');
+    res = await fastify.inject('/test?fail=1');
+
+    expect(res.statusCode).toEqual(500);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test('should refund requests with custom "shouldCount"', async () => {
+    const statusCodes = [];
+
+    fastify.register(plugin);
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 60,
+
+            shouldCount: async (request, reply) => {
+              statusCodes.push(reply.statusCode);
+
+              return request.query.count !== undefined;
+            }
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res;
     res = await fastify.inject('/test');
+    res = await fastify.inject('/test?count=1');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test?count=1');
+
+    expect(res.statusCode).toEqual(403);
+    expect(statusCodes).toEqual([200, 200, 403]);
+  });
+
+  test('should temporarily ban clients that keep exceeding the limit', async () => {
+    const now = jest.spyOn(Date, 'now');
+    const reasons = [];
+
+    now.mockReturnValue(1000);
+
+    fastify.register(plugin, {
+      errorResponseGenerator: (request, context) => {
+        reasons.push(context.reason);
+
+        const err = new Error('Too Many Requests');
+        err.statusCode = 403;
+
+        return err;
+      }
+    });
+
+    fastify.get(
+      '/test',
+
+      {
+        config: {
+          limiter: {
+            max: 1,
+            per: 10,
+            ban: { after: 2, within: 60, duration: 600 }
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    let res = await fastify.inject('/test');
 
     expect(res.statusCode).toEqual(200);
 
     res = await fastify.inject('/test');
 
     expect(res.statusCode).toEqual(403);
+    expect(res.headers['retry-after']).toEqual('10');
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.headers['retry-after']).toEqual('600');
+
+    // The limit is reset, but the ban is still active.
+    now.mockReturnValue(20000);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.headers['retry-after']).toEqual('581');
+
+    now.mockReturnValue(601000);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+    expect(reasons).toEqual(['limit', 'banned', 'banned']);
+
+    now.mockRestore();
+  });
+
+  test('should share a named bucket between routes', async () => {
+    fastify.register(plugin);
+
+    fastify.get('/search/users', { config: { limiter: { bucket: 'search', max: 3, per: 60 } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    // The quota is inherited from the first definition of the bucket.
+    fastify.get('/search/posts', { config: { limiter: { bucket: 'search' } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    fastify.get('/search/tags', { config: { limiter: { bucket: 'search', max: 3, per: 60 } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    fastify.get('/other', { config: { limiter: { max: 3, per: 60 } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    let res = await fastify.inject('/search/users');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-ratelimit-remaining']).toEqual('2');
+
+    res = await fastify.inject('/search/posts');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-ratelimit-limit']).toEqual('3');
+    expect(res.headers['x-ratelimit-remaining']).toEqual('1');
+
+    res = await fastify.inject('/search/tags');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-ratelimit-remaining']).toEqual('0');
+
+    res = await fastify.inject('/search/users');
+
+    expect(res.statusCode).toEqual(403);
+
+    res = await fastify.inject('/other');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-ratelimit-remaining']).toEqual('2');
+  });
+
+  test('should limit the number of requests in flight', async () => {
+    fastify.register(plugin);
+
+    let started;
+    let finish;
+
+    fastify.get(
+      '/report',
+
+      {
+        config: {
+          limiter: {
+            algorithm: 'concurrency',
+            max: 1,
+            per: 60
+          }
+        }
+      },
+
+      async (request, reply) => {
+        if (request.query.fail) {
+          throw new Error('Report failed');
+        }
+
+        started();
+
+        await new Promise(resolve => {
+          finish = resolve;
+        });
+
+        return 'report';
+      }
+    );
+
+    const tick = () => new Promise(resolve => setImmediate(resolve));
+
+    let pending = new Promise(resolve => {
+      started = resolve;
+    });
+
+    const first = fastify.inject('/report');
+
+    await pending;
+
+    let res = await fastify.inject('/report');
+
+    expect(res.statusCode).toEqual(403);
+
+    finish();
+    res = await first;
+
+    expect(res.statusCode).toEqual(200);
+
+    await tick();
+
+    // Leases are released on errors too.
+    res = await fastify.inject('/report?fail=1');
+
+    expect(res.statusCode).toEqual(500);
+
+    await tick();
 
-    res = await fastify.inject({
-      url: '/test',
-      headers: {
-        'x-skip-limiter': '1'
-      }
+    pending = new Promise(resolve => {
+      started = resolve;
     });
 
-    expect(res.statusCode).toEqual(200);
+    const second = fastify.inject('/report');
 
-    res = await fastify.inject('/test');
+    await pending;
+    finish();
+    res = await second;
 
-    expect(res.statusCode).toEqual(403);
+    expect(res.statusCode).toEqual(200);
   });
 
-  test('should support async "whitelisting" (ignore)', async () => {
-    fastify.register(plugin, { store: new LocalTestStore() });
+  test('should release concurrency leases if another limit fails', async () => {
+    const failingStore = new plugin.LocalStore();
+    const increment = failingStore.increment;
+    let isDown = true;
+
+    failingStore.increment = async function (...args) {
+      if (isDown) {
+        throw new Error('Connection is closed.');
+      }
+
+      return increment.apply(this, args);
+    };
+
+    fastify.register(plugin);
 
     fastify.get(
-      '/test',
+      '/report',
 
       {
         config: {
-          limiter: {
-            max: 1,
-            per: 10,
-
-            ignore: async (request) => {
-              return request.headers['x-skip-limiter'] !== undefined;
-            }
-          }
+          limiter: [
+            { algorithm: 'concurrency', max: 1, per: 60 },
+            { max: 10, per: 60, store: failingStore }
+          ]
         }
       },
 
       (request, reply) => {
-        reply.send('hello world');
+        reply.send('report');
       }
     );
 
-    let res;
-    res = await fastify.inject('/test');
-
-    expect(res.statusCode).toEqual(200);
+    let res = await fastify.inject('/report');
 
-    res = await fastify.inject('/test');
+    expect(res.statusCode).toEqual(500);
 
-    expect(res.statusCode).toEqual(403);
+    await new Promise(resolve => setImmediate(resolve));
 
-    res = await fastify.inject({
-      url: '/test',
-      headers: {
-        'x-skip-limiter': '1'
-      }
-    });
+    isDown = false;
+    res = await fastify.inject('/report');
 
     expect(res.statusCode).toEqual(200);
-
-    res = await fastify.inject('/test');
-
-    expect(res.statusCode).toEqual(403);
   });
 
-  test('should work with some basic "max" and "per" values', async () => {
-    fastify.register(plugin, { store: new LocalTestStore() });
+  test('should delay requests above "delayAfter"', async () => {
+    fastify.register(plugin);
+
+    const delays = [];
 
     fastify.get(
       '/test',
@@ -587,8 +2597,11 @@ describe('Runtime', () => {
       {
         config: {
           limiter: {
-            max: 2,
-            per: 10
+            max: 4,
+            per: 60,
+            delayAfter: 1,
+            delayMs: 20,
+            maxDelayMs: 30
           }
         }
       },
@@ -598,92 +2611,180 @@ describe('Runtime', () => {
       }
     );
 
-    let res;
-    res = await fastify.inject('/test');
+    fastify.get(
+      '/custom',
+
+      {
+        config: {
+          limiter: {
+            max: 10,
+            per: 60,
+            delayAfter: 0,
+            delayMs: async (overage, request) => {
+              delays.push(overage);
+
+              return 0;
+            }
+          }
+        }
+      },
+
+      (request, reply) => {
+        reply.send('hello world');
+      }
+    );
+
+    const timed = async url => {
+      const start = Date.now();
+      const res = await fastify.inject(url);
+
+      return { statusCode: res.statusCode, elapsed: Date.now() - start };
+    };
+
+    let res = await timed('/test');
 
     expect(res.statusCode).toEqual(200);
+    expect(res.elapsed).toBeLessThan(20);
 
-    res = await fastify.inject('/test');
+    res = await timed('/test');
 
     expect(res.statusCode).toEqual(200);
+    expect(res.elapsed).toBeGreaterThanOrEqual(19);
 
-    res = await fastify.inject('/test');
+    // Delay is capped with "maxDelayMs".
+    res = await timed('/test');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.elapsed).toBeGreaterThanOrEqual(29);
+
+    res = await timed('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    // Hard limit still applies.
+    res = await timed('/test');
 
     expect(res.statusCode).toEqual(403);
+    expect(res.elapsed).toBeLessThan(20);
+
+    await fastify.inject('/custom');
+    await fastify.inject('/custom');
+
+    expect(delays).toEqual([1, 2]);
   });
 
-  test('should support dynamic "max" (sync function)', async () => {
-    fastify.register(plugin, { store: new LocalTestStore() });
+  test('should stop delaying a request if the client disconnects', async () => {
+    fastify.register(plugin);
+
+    const handler = jest.fn();
+
+    let delayedReply;
 
     fastify.get(
       '/test',
 
       {
+        onRequest: async (request, reply) => {
+          delayedReply = reply;
+          setTimeout(() => reply.raw.emit('close'), 10);
+        },
+
         config: {
           limiter: {
-            max: () => 1,
-            per: 10
+            max: 10,
+            per: 60,
+            delayAfter: 0,
+            delayMs: 60000
           }
         }
       },
 
       (request, reply) => {
+        handler();
         reply.send('hello world');
       }
     );
 
-    let res;
-    res = await fastify.inject('/test');
+    const start = Date.now();
 
-    expect(res.statusCode).toEqual(200);
+    // Light-my-request rejects if the response is closed before it is sent.
+    const result = await fastify.inject('/test').then(() => 'sent', () => 'aborted');
 
-    res = await fastify.inject('/test');
+    expect(result).toEqual('aborted');
 
-    expect(res.statusCode).toEqual(403);
+    await new Promise(resolve => setImmediate(resolve));
+
+    // The wait is over and the handler is skipped.
+    expect(delayedReply.sent).toEqual(true);
+    expect(handler).not.toHaveBeenCalled();
+    expect(Date.now() - start).toBeLessThan(1000);
   });
 
-  test('should support dynamic "max" (async function)', async () => {
-    fastify.register(plugin, { store: new LocalTestStore() });
+  test('should stop delaying a request on fastify versions without `reply.hijack`', async () => {
+    fastify.register(plugin);
+
+    const handler = jest.fn();
+    const errorHandler = jest.fn((err, request, reply) => reply.send(err));
+
+    let delayedReply;
 
     fastify.get(
       '/test',
 
       {
+        onRequest: async (request, reply) => {
+          // Fastify < 3.11.0.
+          reply.hijack = undefined;
+
+          delayedReply = reply;
+          setTimeout(() => reply.raw.emit('close'), 10);
+        },
+
+        errorHandler,
+
         config: {
           limiter: {
-            max: async () => 1,
-            per: 10
+            max: 10,
+            per: 60,
+            delayAfter: 0,
+            delayMs: 60000
           }
         }
       },
 
       (request, reply) => {
+        handler();
         reply.send('hello world');
       }
     );
 
-    let res;
-    res = await fastify.inject('/test');
+    const result = await fastify.inject('/test').then(() => 'sent', () => 'aborted');
 
-    expect(res.statusCode).toEqual(200);
+    expect(result).toEqual('aborted');
 
-    res = await fastify.inject('/test');
+    await new Promise(resolve => setImmediate(resolve));
 
-    expect(res.statusCode).toEqual(403);
+    expect(delayedReply.sent).toEqual(true);
+    expect(handler).not.toHaveBeenCalled();
+    expect(errorHandler).not.toHaveBeenCalled();
   });
 
-  test('should support dynamic "max" (basic)', async () => {
-    fastify.register(plugin, { store: new LocalTestStore() });
+  test('should queue requests that exceed the limit', async () => {
+    fastify.register(plugin);
 
     fastify.get(
-      '/test',
+      '/internal',
 
       {
         config: {
           limiter: {
-            storeKeyGenerator: request => request.headers['api-key'],
-            max: (request, key) => key === 'pro' ? 2 : 1,
-            per: 10
+            algorithm: 'token-bucket',
+            capacity: 1,
+            refillRate: 20,
+            queue: {
+              maxLength: 2,
+              maxWait: 1000
+            }
           }
         }
       },
@@ -693,49 +2794,44 @@ describe('Runtime', () => {
       }
     );
 
-    const requests = [
-      { headers: { 'api-key': 'pro' }, status: 200 },
-      { headers: { 'api-key': 'pro' }, status: 200 },
-      { headers: { 'api-key': 'pro' }, status: 403 },
-      { headers: { 'api-key': 'non-pro' }, status: 200 },
-      { headers: { 'api-key': 'non-pro' }, status: 403 }
-    ];
+    await fastify.ready();
 
-    for (const request of requests) {
-      let res = await fastify.inject({
-        url: '/test',
-        headers: request.headers
-      });
+    const start = Date.now();
+    const responses = await Promise.all([1, 2, 3, 4].map(() => fastify.inject('/internal')));
 
-      expect(res.statusCode).toEqual(request.status);
-    }
-  });
+    // The last request does not fit into the queue.
+    expect(responses.map(res => res.statusCode)).toEqual([200, 200, 200, 429]);
 
-  test('should override default "storeKeyGenerator"', async () => {
-    expect.assertions(4);
+    // Queued requests wait for the bucket to be refilled (50ms per token).
+    expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+  });
 
-    const localTestStore = new LocalTestStore();
+  test('should reject queued requests that cannot pass in time', async () => {
+    const reasons = [];
 
     fastify.register(plugin, {
-      store: localTestStore,
+      errorResponseGenerator: (request, context) => {
+        reasons.push(context.reason);
 
-      storeKeyGenerator: (request, routeConfig) => {
-        expect(request).toBeInstanceOf(fastify[fastifySymbols.kRequest]);
-        expect(routeConfig.url).toEqual('/test');
-        expect(routeConfig.method).toEqual('GET');
+        const err = new Error('Too Many Requests');
+        err.statusCode = 429;
 
-        return 'testKey';
+        return err;
       }
     });
 
     fastify.get(
-      '/test',
+      '/internal',
 
       {
         config: {
           limiter: {
             max: 1,
-            per: 10
+            per: 60,
+            queue: {
+              maxLength: 10,
+              maxWait: 1000
+            }
           }
         }
       },
@@ -745,19 +2841,36 @@ describe('Runtime', () => {
       }
     );
 
-    await fastify.inject('/test');
+    let res = await fastify.inject('/internal');
 
-    expect(localTestStore.val['testKey']).toBeDefined();
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/internal');
+
+    expect(res.statusCode).toEqual(429);
+    expect(reasons).toEqual(['queue-timeout']);
   });
 
-  test('should support skipping limiter if Store error occurred', async () => {
-    class TestErrorStore {
-      async increment () {
-        throw new Error('Test "skipOnError"');
-      }
-    }
+  test('should close stores on fastify close', async () => {
+    const close = jest.fn();
+    const store = new plugin.LocalStore();
 
-    fastify.register(plugin, { store: new TestErrorStore() });
+    store.close = close;
+
+    fastify.register(plugin, { store });
+
+    fastify.get('/test', { config: { limiter: true } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    await fastify.ready();
+    await fastify.close();
+
+    expect(close).toHaveBeenCalledTimes(1);
+  });
+
+  test('should inspect and reset clients with `fastify.limiter`', async () => {
+    fastify.register(plugin);
 
     fastify.get(
       '/test',
@@ -766,7 +2879,8 @@ describe('Runtime', () => {
         config: {
           limiter: {
             max: 1,
-            per: 10
+            per: 60,
+            ban: { after: 1, within: 60, duration: 600 }
           }
         }
       },
@@ -776,16 +2890,43 @@ describe('Runtime', () => {
       }
     );
 
+    const key = 'fastify-proper-limiter:GET:/test:127.0.0.1';
+
+    let res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(403);
+    expect((await fastify.limiter.get(key)).value).toEqual(2);
+    expect((await fastify.limiter.get(`${key}:ban`)).ttl).toBeGreaterThan(0);
+
+    // Derived keys (e.g. bans) are reset as well.
+    await fastify.limiter.reset(key);
+
+    expect(await fastify.limiter.get(key)).toBeNull();
+    expect(await fastify.limiter.get(`${key}:ban`)).toBeNull();
+
+    res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
+    expect(await fastify.limiter.resetAll('fastify-proper-limiter:')).toEqual(1);
+    await expect(fastify.limiter.resetAll('')).rejects.toThrow('`prefix` should be a non-empty string.');
+  });
+
+  test('should not reset keys of other clients with `fastify.limiter`', async () => {
+    fastify.register(plugin);
+
     fastify.get(
-      '/test-skip',
+      '/test',
 
       {
         config: {
-          limiter: {
-            max: 1,
-            per: 10,
-            skipOnError: true
-          }
+          limiter: [
+            { name: 'burst', max: 1, per: 60, ban: { after: 1, within: 60, duration: 600 } },
+            { name: 'hourly', max: 100, per: 3600 }
+          ]
         }
       },
 
@@ -794,41 +2935,167 @@ describe('Runtime', () => {
       }
     );
 
-    let res;
-    res = await fastify.inject('/test');
+    // IPv6 addresses contain colons, so a key of one client can be a prefix of another one.
+    const key = 'fastify-proper-limiter:GET:/test:::1';
+    const otherKey = 'fastify-proper-limiter:GET:/test:::1:5';
 
-    expect(res.statusCode).toEqual(500);
-    expect(res.json().message).toEqual('Test "skipOnError"');
+    await fastify.inject({ url: '/test', remoteAddress: '::1' });
+    await fastify.inject({ url: '/test', remoteAddress: '::1' });
+    await fastify.inject({ url: '/test', remoteAddress: '::1:5' });
 
-    res = await fastify.inject('/test-skip');
+    expect((await fastify.limiter.keys(key)).sort()).toEqual([
+      `${key}:5:burst`,
+      `${key}:5:hourly`,
+      `${key}:burst`,
+      `${key}:burst:ban`,
+      `${key}:burst:overages`,
+      `${key}:hourly`
+    ]);
+
+    await fastify.limiter.reset(key);
+
+    expect((await fastify.limiter.keys(key)).sort()).toEqual([`${otherKey}:burst`, `${otherKey}:hourly`]);
+  });
+
+  test('should collect metrics of limiter decisions', async () => {
+    const failingStore = new plugin.LocalStore();
+
+    failingStore.increment = async () => {
+      throw new Error('Connection is closed.');
+    };
+
+    fastify.register(plugin, { global: true, max: 1, per: 60, metrics: { endpoint: '/metrics', buckets: [0.5, 1] } });
+
+    fastify.get('/test', (request, reply) => {
+      reply.send('hello world');
+    });
+
+    fastify.get('/ignored', { config: { limiter: { ignore: () => true } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    fastify.get('/skipped', { config: { limiter: { store: failingStore, skipOnError: true } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    fastify.get('/failed', { config: { limiter: { store: failingStore } } }, (request, reply) => {
+      reply.send('hello world');
+    });
+
+    expect((await fastify.inject('/test')).statusCode).toEqual(200);
+    expect((await fastify.inject('/test')).statusCode).toEqual(403);
+    expect((await fastify.inject('/ignored')).statusCode).toEqual(200);
+    expect((await fastify.inject('/skipped')).statusCode).toEqual(200);
+    expect((await fastify.inject('/failed')).statusCode).toEqual(500);
+
+    const res = await fastify.inject('/metrics');
 
     expect(res.statusCode).toEqual(200);
+    expect(res.headers['content-type']).toEqual('text/plain; version=0.0.4; charset=utf-8');
+    expect(res.body).toEqual(fastify.limiter.getMetrics());
+
+    const lines = res.body.split('\n');
+
+    expect(lines).toEqual(expect.arrayContaining([
+      '# TYPE fastify_proper_limiter_requests_total counter',
+      'fastify_proper_limiter_requests_total{route="/test",method="GET",decision="allowed"} 1',
+      'fastify_proper_limiter_requests_total{route="/test",method="GET",decision="rejected"} 1',
+      'fastify_proper_limiter_requests_total{route="/ignored",method="GET",decision="ignored"} 1',
+      'fastify_proper_limiter_requests_total{route="/skipped",method="GET",decision="skipped"} 1',
+      'fastify_proper_limiter_requests_total{route="/failed",method="GET",decision="error"} 1',
+      '# TYPE fastify_proper_limiter_store_duration_seconds histogram',
+      'fastify_proper_limiter_store_duration_seconds_bucket{operation="increment",le="0.5"} 4',
+      'fastify_proper_limiter_store_duration_seconds_bucket{operation="increment",le="1"} 4',
+      'fastify_proper_limiter_store_duration_seconds_bucket{operation="increment",le="+Inf"} 4',
+      'fastify_proper_limiter_store_duration_seconds_count{operation="increment"} 4'
+    ]));
+
+    // Metrics endpoint is not limited.
+    expect(lines.some(line => line.includes('route="/metrics"'))).toEqual(false);
   });
 
-  test('should use globally defined options when `limiter` is "true"', async () => {
-    const localTestStore = new LocalTestStore();
+  test('should call lifecycle callbacks and emit events', async () => {
+    const now = jest.spyOn(Date, 'now');
+    const calls = [];
+    const failingStore = new plugin.LocalStore();
+
+    failingStore.increment = async () => {
+      throw new Error('Connection is closed.');
+    };
+
+    now.mockReturnValue(1000);
 
     fastify.register(plugin, {
-      store: localTestStore,
-      storeKeyGenerator: () => 'testGlobalStaticKey'
+      max: 1,
+      per: 10,
+      onAllowed: (request, context) => calls.push(['onAllowed', context]),
+      onExceeded: async (request, context) => calls.push(['onExceeded', context.first, context.key, context.reason])
     });
 
-    fastify.get(
-      '/test',
+    fastify.get('/test', { config: { limiter: true } }, (request, reply) => {
+      reply.send('hello world');
+    });
 
-      {
-        config: {
-          limiter: true
-        }
-      },
+    fastify.get('/failing', { config: { limiter: { store: failingStore, skipOnError: true } } }, (request, reply) => {
+      reply.send('hello world');
+    });
 
-      (request, reply) => {
-        reply.send('hello world');
+    await fastify.ready();
+
+    fastify.limiter.on('exceeded', (request, context) => calls.push(['exceeded', context.first]));
+    fastify.limiter.on('storeError', (request, err, context) => calls.push(['storeError', err.message, context.skipped]));
+    fastify.limiter.once('exceeded', (request, context) => calls.push(['exceeded (once)', context.first]));
+
+    expect((await fastify.inject('/test')).statusCode).toEqual(200);
+    expect((await fastify.inject('/test')).statusCode).toEqual(403);
+    expect((await fastify.inject('/test')).statusCode).toEqual(403);
+
+    // New window.
+    now.mockReturnValue(11000);
+
+    expect((await fastify.inject('/test')).statusCode).toEqual(200);
+    expect((await fastify.inject('/test')).statusCode).toEqual(403);
+    expect((await fastify.inject('/failing')).statusCode).toEqual(200);
+
+    const key = 'fastify-proper-limiter:GET:/test:127.0.0.1';
+
+    expect(calls).toEqual([
+      ['onAllowed', { limits: [{ limit: 'default', key, max: 1, per: 10, current: 1, remaining: 0, reset: 10 }], method: 'GET', url: '/test' }],
+      ['onExceeded', true, key, 'limit'],
+      ['exceeded', true],
+      ['exceeded (once)', true],
+      ['onExceeded', false, key, 'limit'],
+      ['exceeded', false],
+      ['onAllowed', expect.objectContaining({ url: '/test' })],
+      ['onExceeded', true, key, 'limit'],
+      ['exceeded', true],
+      ['storeError', 'Connection is closed.', true]
+    ]);
+
+    expect(fastify.limiter.listenerCount('exceeded')).toEqual(1);
+
+    now.mockRestore();
+  });
+
+  test('should not fail requests if a lifecycle callback throws', async () => {
+    fastify.register(plugin, {
+      onAllowed: () => {
+        throw new Error('Callback failed.');
       }
-    );
+    });
 
-    await fastify.inject('/test');
+    fastify.get('/test', { config: { limiter: true } }, (request, reply) => {
+      reply.send('hello world');
+    });
 
-    expect(localTestStore.val['testGlobalStaticKey']).toBeDefined();
+    await fastify.ready();
+
+    fastify.limiter.on('allowed', async () => {
+      throw new Error('Listener failed.');
+    });
+
+    const res = await fastify.inject('/test');
+
+    expect(res.statusCode).toEqual(200);
   });
 });